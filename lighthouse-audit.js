@@ -3,91 +3,331 @@
 /**88888
  * Standalone Lighthouse Audit Script
  * Reads URLs from CSV and runs Lighthouse audits for both mobile and desktop
+ * (or the device profiles given with --devices)
+ *
+ * Run with --help for the available options (input CSVs, output directory,
+ * devices, categories, URL filter, concurrency, runs per audit, reporters,
+ * budgets, baselines, history and consent mode).
+ *
+ * Exit codes: 0 on success, 1 when the run crashes, or with budgets when a
+ * budget is missed or an audit failed, 2 for invalid arguments.
  */
 
-const { readUrlsFromCSV, getDefaultCSVPath } = require('./utils/csv-reader');
-const { runLighthouseAudit } = require('./utils/lighthouse-runner');
+const { readUrlsFromCSV, writeUrlsToCSV } = require('./utils/csv-reader');
+const { readUrlsFromSitemap } = require('./utils/sitemap-reader');
+const { crawlSite, DEFAULT_MAX_PAGES } = require('./utils/crawler');
+const { getAuditViews, CATEGORIES } = require('./utils/lighthouse-runner');
+const { runMedianAudit } = require('./utils/run-aggregator');
+const { parseArgs, getHelpText, CliError } = require('./utils/cli');
+const { loadBudgets, evaluateBudgets } = require('./utils/budgets');
+const { loadBaseline, saveBaseline, applyBaseline, getAuditKey } = require('./utils/baseline');
+const { appendHistory, readHistory, rebuildHistory, getTrends } = require('./utils/history');
+const { METRICS, formatMetric, getRating } = require('./utils/metrics');
+const { runPool, getConcurrencyWarnings } = require('./utils/worker-pool');
+const { aggregateTopIssues } = require('./utils/top-issues');
+const { writeReports } = require('./utils/reporters');
+const { summarizeProfile, describeProfile } = require('./utils/device-profiles');
+const { loadSetup } = require('./utils/setup-script');
+const { loadFlow, runUserFlow } = require('./utils/user-flow');
+const { startCheckpoint, appendCheckpoint, readCheckpoint, getCheckpointPath } = require('./utils/checkpoint');
+const { loadDisclaimerRules } = require('./utils/disclaimer-rules');
+const { loadDisclaimerTexts } = require('./utils/disclaimer-texts');
+const { getDisclaimerStatus, describeBanner } = require('./utils/disclaimer-handler');
+const { classifyError, getFailureBreakdown, FAILURE_CATEGORIES } = require('./utils/retry');
 const path = require('path');
 const fs = require('fs-extra');
 
-async function main() {
+const RATING_ICONS = { good: '🟢', 'needs-improvement': '🟠', poor: '🔴' };
+
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`❌ ${error.message}`);
+      console.error('Run with --help to see the available options.');
+      process.exit(2);
+    }
+    throw error;
+  }
+
+  if (options.help) {
+    console.log(getHelpText());
+    return;
+  }
+
+  if (options.rebuildHistory) {
+    const count = await rebuildHistory(options.outputDir);
+    console.log(`🗂️  Rebuilt history with ${count} audits from ${options.outputDir}`);
+    return;
+  }
+
   console.log('🚀 Starting Lighthouse E2E Audit...\n');
 
   try {
-    // Read URLs from CSV file
-    const csvPath = getDefaultCSVPath();
-    console.log(`📖 Reading URLs from: ${csvPath}`);
-    
-    const urls = await readUrlsFromCSV(csvPath);
+    const budgets = options.budgets ? await loadBudgets(options.budgets) : null;
+    if (budgets) {
+      console.log(`💰 Budgets loaded from: ${options.budgets}`);
+    }
+
+    // Load the baseline up front so a typo does not surface after hours of audits
+    const outputDir = path.resolve(options.outputDir);
+    const baseline = options.baseline ? await loadBaseline(options.baseline, outputDir) : null;
+    if (baseline) {
+      console.log(`📐 Comparing against baseline "${baseline.name}" (${baseline.results.length} audits)`);
+    }
+
+    // Site-specific disclaimer rules and extra button texts (the default files are picked up when present)
+    const disclaimers = {
+      rules: await loadDisclaimerRules(options.disclaimerRules),
+      texts: await loadDisclaimerTexts(options.disclaimerTexts),
+      cmpAction: options.cmpAction
+    };
+    if (disclaimers.rules.length > 0) {
+      console.log(`📏 Disclaimer rules: ${disclaimers.rules.map(rule => rule.name).join(', ')}`);
+    }
+
+    // Read URLs from the CSV file(s) and sitemap(s)
+    let urls = [];
+    for (const csvPath of options.inputs) {
+      console.log(`📖 Reading URLs from: ${csvPath}`);
+      const entries = await readUrlsFromCSV(csvPath, { strict: options.strict, devices: Object.keys(options.deviceProfiles) });
+      urls.push(...withSource(entries, path.relative(process.cwd(), csvPath) || csvPath));
+    }
+    for (const sitemap of options.sitemaps) {
+      console.log(`🗺️  Reading URLs from sitemap: ${sitemap}`);
+      urls.push(...withSource(await readUrlsFromSitemap(sitemap, {
+        include: options.include,
+        exclude: options.exclude,
+        maxUrls: options.maxUrls
+      }), sitemap));
+    }
+    if (options.crawl.length > 0) {
+      console.log(`🕷️  Crawling from: ${options.crawl.join(', ')}`);
+      const crawled = await crawlSite(options.crawl, {
+        maxDepth: options.crawlDepth,
+        maxPages: options.maxUrls === Infinity ? DEFAULT_MAX_PAGES : options.maxUrls,
+        include: options.include,
+        exclude: options.exclude,
+        disclaimers
+      });
+
+      if (options.crawlExport) {
+        await writeUrlsToCSV(crawled, options.crawlExport);
+        console.log(`📝 Crawled URLs exported to: ${options.crawlExport}`);
+        return;
+      }
+      urls.push(...withSource(crawled, 'crawl'));
+    }
+
+    // The same URL can come from several inputs; the first one wins
+    const { unique, duplicates } = dedupeUrls(urls);
+    if (duplicates > 0) {
+      console.log(`🧹 Skipped ${duplicates} URLs listed in more than one input`);
+    }
+    urls = unique;
+
+    if (options.filter) {
+      urls = urls.filter(({ url }) => options.filter.test(url));
+      console.log(`🔎 Filter ${options.filter} matched ${urls.length} URLs`);
+    }
+    if (options.tags.length > 0 || options.groups.length > 0) {
+      urls = urls.filter(entry => matchesSelection(entry, options.tags, options.groups));
+      const selection = [...options.tags.map(tag => `tag ${tag}`), ...options.groups.map(group => `group ${group}`)];
+      console.log(`🏷️  Selection (${selection.join(', ')}) matched ${urls.length} URLs`);
+    }
+    if (options.shard) {
+      urls = pickShard(urls, options.shard);
+      console.log(`🧩 Shard ${options.shard.index}/${options.shard.total}: ${urls.length} URLs`);
+    }
     console.log(`✅ Found ${urls.length} URLs to test\n`);
     
+    // Load the global and per-URL setups once, before any audit starts
+    const setups = new Map();
+    for (const file of new Set([options.setup, ...urls.map(entry => entry.setup)].filter(Boolean))) {
+      setups.set(file, await loadSetup(file));
+    }
+    if (setups.size > 0) {
+      console.log(`🔐 Setups: ${[...setups.values()].map(setup => `${path.basename(setup.file)} (${setup.type})`).join(', ')}`);
+    }
+
+    // Same for the user flow definitions
+    const flows = new Map();
+    for (const file of new Set([options.flow, ...urls.map(entry => entry.flow)].filter(Boolean))) {
+      flows.set(file, await loadFlow(file));
+    }
+    if (flows.size > 0) {
+      console.log(`🧭 User flows: ${[...flows.values()].map(flow => `"${flow.name}" (${flow.steps.length} steps)`).join(', ')}`);
+    }
+
     // Create output directory
-    const outputDir = path.join(__dirname, 'reports');
     await fs.ensureDir(outputDir);
-    
-    const results = [];
 
-    // Process each URL
-    for (const urlData of urls) {
-      const { url, description } = urlData;
-      console.log(`\n🌐 Testing: ${description}`);
-      console.log(`🔗 URL: ${url}`);
-      console.log('─'.repeat(50));
+    // Which views to audit: gated (as-is), consent (after disclaimers) or both
+    const views = getAuditViews(options.consentMode);
+    console.log(`👁️  Audit views: ${views.join(', ')}`);
+    console.log(`📋 Devices: ${options.devices.join(', ')} | Categories: ${options.categories.join(', ')} | Concurrency: ${options.concurrency} | Runs: ${options.runs}${options.runs > 1 ? ` (median by ${options.medianBy})` : ''}`);
+    if (options.retry.retries > 0) {
+      console.log(`🔄 Retries: up to ${options.retry.retries} for ${options.retry.retryOn.join(', ')} (backoff from ${options.retry.backoffMs} ms)`);
+    }
+    for (const device of options.devices) {
+      const { icon, label } = options.deviceProfiles[device];
+      console.log(`   ${icon} ${label}: ${describeProfile(summarizeProfile(options.deviceProfiles[device]))}`);
+    }
+    if (options.categories.includes('performance')) {
+      getConcurrencyWarnings(options.concurrency).forEach(warning => console.warn(`⚠️  ${warning}`));
+    }
 
-      // Test on Desktop
-      console.log('\n🖥️  Running Desktop Audit...');
-      try {
-        const desktopResult = await runLighthouseAudit(url, 'desktop', outputDir);
-        results.push({
-          url,
-          description,
-          device: 'desktop',
-          ...desktopResult
-        });
-        
-        console.log('📊 Desktop Scores:', desktopResult.scores);
-      } catch (error) {
-        console.error(`❌ Desktop audit failed: ${error.message}`);
-        results.push({
-          url,
-          description,
-          device: 'desktop',
-          error: error.message
-        });
+    // One job per URL, view and device, in the order results are reported.
+    // CSV rows can narrow the devices and opt out of the consent view. A user
+    // flow runs once per URL and device, with the job of the first view.
+    const jobs = [];
+    for (const entry of urls) {
+      const entryViews = entry.skipDisclaimers ? ['gated'] : views;
+      const entryDevices = entry.devices ? options.devices.filter(device => entry.devices.includes(device)) : options.devices;
+      for (const view of entryViews) {
+        for (const device of entryDevices) {
+          jobs.push({ entry, view, device, withFlow: view === entryViews[0] });
+        }
       }
+    }
+
+    // Budgets are checked when a budgets file is given or any CSV row sets its own
+    const budgetsEnabled = Boolean(budgets) || urls.some(entry => entry.budget);
+
+    // Reuse the audits an interrupted run already finished; otherwise start a new checkpoint
+    const done = new Map();
+    if (options.resume) {
+      const checkpoint = await readCheckpoint(outputDir);
+      for (const job of jobs) {
+        const previous = checkpoint.get(getAuditKey({ url: job.entry.url, device: job.device, view: job.view }));
+        if (previous && !(previous.error && options.retryFailed)) {
+          done.set(job, resumeResult(previous, budgetsEnabled, budgets, job.entry.budget));
+        }
+      }
+      const failed = [...done.values()].filter(r => r.error).length;
+      console.log(`⏯️  Resuming from ${getCheckpointPath(outputDir)}: ${done.size} of ${jobs.length} audits already done${failed > 0 ? ` (${failed} failed; use --retry-failed to rerun them)` : ''}`);
+    } else {
+      await startCheckpoint(outputDir);
+    }
+    const pending = jobs.filter(job => !done.has(job));
 
-      // Test on Mobile
-      console.log('\n📱 Running Mobile Audit...');
+    const completed = await runPool(pending, options.concurrency, async ({ entry, view, device, withFlow }, index) => {
+      const { url, description } = entry;
+      const labels = getEntryLabels(entry);
+      const profile = options.deviceProfiles[device];
+      const { label, icon } = profile;
+      console.log(`\n${icon} [${index + 1}/${pending.length}] Running ${label} Audit (${view} view): ${description}`);
+      console.log(`🔗 URL: ${url}`);
+      const setup = setups.get(entry.setup || options.setup);
+      let audit;
       try {
-        const mobileResult = await runLighthouseAudit(url, 'mobile', outputDir);
-        results.push({
-          url,
-          description,
-          device: 'mobile',
-          ...mobileResult
+        const result = await runMedianAudit(url, device, outputDir, {
+          view,
+          profile,
+          categories: options.categories,
+          runs: options.runs,
+          medianBy: options.medianBy,
+          retry: options.retry,
+          waitFor: entry.waitFor,
+          skipDisclaimers: entry.skipDisclaimers,
+          headers: entry.headers,
+          setup,
+          disclaimers
         });
-        
-        console.log('📊 Mobile Scores:', mobileResult.scores);
+        console.log(`📊 ${label} Scores for ${url}:`, result.scores);
+        console.log(`⏱️  ${label} Metrics: ${formatMetricLine(result.metrics)}`);
+        if (result.spread) {
+          const ranges = Object.entries(result.spread.scores)
+            .map(([key, stats]) => `${key} ${stats.min}-${stats.max} (σ ${stats.stddev.toFixed(1)})`);
+          console.log(`📉 Spread over ${result.runs.completed} runs: ${ranges.join(', ')}`);
+        }
+
+        audit = { url, description, ...labels, device, ...result };
+        if (budgetsEnabled) {
+          audit.violations = evaluateBudgets(audit, budgets, entry.budget);
+          audit.violations.forEach(v => console.warn(`💸 Budget missed for ${url} (${device}): ${v.message}`));
+        }
       } catch (error) {
-        console.error(`❌ Mobile audit failed: ${error.message}`);
-        results.push({
-          url,
-          description,
-          device: 'mobile',
-          error: error.message
-        });
+        const failure = error.failure || classifyError(error);
+        console.error(`❌ ${label} audit failed for ${url} (${FAILURE_CATEGORIES[failure.category].label}): ${error.message}`);
+        audit = {
+          url, description, ...labels, device, view,
+          profile: summarizeProfile(profile),
+          error: error.message,
+          failure,
+          attempts: error.attempts || 1,
+          retries: error.retries || 0
+        };
+      }
+
+      const flow = flows.get(entry.flow || options.flow);
+      if (flow && withFlow) {
+        try {
+          audit.flow = await runUserFlow(url, device, outputDir, {
+            flow,
+            profile,
+            categories: options.categories,
+            headers: entry.headers,
+            setup,
+            disclaimers
+          });
+          audit.flow.steps.forEach(step => console.log(`🧭 ${step.mode} "${step.name}": ${formatStepLine(step)}`));
+        } catch (error) {
+          console.error(`❌ User flow "${flow.name}" failed for ${url} on ${device}: ${error.message}`);
+          audit.flow = { name: flow.name, file: flow.file, error: error.message };
+        }
       }
 
-      console.log('\n' + '─'.repeat(50));
+      // Checkpoint right away so an interrupted run can be resumed
+      await appendCheckpoint(audit, outputDir);
+      return audit;
+    });
+    const results = jobs.map(job => done.get(job) || completed[pending.indexOf(job)]);
+
+    // Compare with the baseline before saving so deltas land in the summaries
+    let baselineSummary = null;
+    if (baseline) {
+      baselineSummary = applyBaseline(results, baseline, {
+        scoreTolerance: options.scoreTolerance,
+        metricTolerance: options.metricTolerance
+      });
+    }
+
+    // Record the run and collect the trends for the audited pages
+    let trends = [];
+    if (options.history) {
+      const recorded = await appendHistory(results, outputDir);
+      console.log(`\n🗂️  Recorded ${recorded} audits in history`);
+      trends = getTrends(await readHistory(outputDir), results);
     }
 
+    // Rank the failing audits that repeat across pages
+    const topIssues = await aggregateTopIssues(results);
+    await fs.writeJson(path.join(outputDir, 'top-issues.json'), topIssues, { spaces: 2 });
+    await generateTopIssuesHTML(topIssues, outputDir);
+
     // Save summary report
     const summaryPath = path.join(outputDir, 'audit-summary.json');
     await fs.writeJson(summaryPath, results, { spaces: 2 });
     console.log(`\n📄 Audit summary saved to: ${summaryPath}`);
 
     // Generate HTML summary
-    await generateHTMLSummary(results, outputDir);
+    await generateHTMLSummary(results, outputDir, { baselineSummary, trends, topIssues });
+
+    // Write the opt-in machine-readable reports (JUnit, CSV, Markdown)
+    const reportPaths = await writeReports(options.reporters, results, outputDir, {
+      budgetsEnabled,
+      topIssues,
+      baselineSummary
+    });
+    reportPaths.forEach(reportPath => console.log(`📄 Report saved to: ${reportPath}`));
+
+    if (options.saveBaseline) {
+      const baselinePath = await saveBaseline(results, options.saveBaseline, outputDir);
+      console.log(`📌 Baseline "${options.saveBaseline}" saved to: ${baselinePath}`);
+    }
 
     // Print final summary
     console.log('\n🎯 FINAL AUDIT SUMMARY');
@@ -98,24 +338,84 @@ async function main() {
     
     console.log(`✅ Successful audits: ${successfulAudits.length}`);
     console.log(`❌ Failed audits: ${failedAudits.length}`);
+    getFailureBreakdown(results).forEach(({ label, count }) => console.log(`   ${label}: ${count}`));
+    const retried = results.filter(r => r.retries > 0);
+    if (retried.length > 0) {
+      console.log(`🔄 Retried audits: ${retried.length} (${retried.filter(r => !r.error).length} succeeded on a later attempt)`);
+    }
+    const handled = results.filter(r => r.disclaimers);
+    const timed = handled.filter(r => r.disclaimers.timing);
+    if (timed.length > 0) {
+      const totals = timed.map(r => r.disclaimers.elapsedMs);
+      const average = Math.round(totals.reduce((sum, ms) => sum + ms, 0) / totals.length);
+      const exhausted = timed.filter(r => r.disclaimers.timing.exhausted).length;
+      console.log(`⏱️  Disclaimer handling: ${average}ms on average, ${Math.max(...totals)}ms at most${exhausted > 0 ? ` (${exhausted} used up the time budget)` : ''}`);
+      const blocked = handled.filter(r => ['blocked', 'error'].includes(getDisclaimerStatus(r.disclaimers)));
+      if (blocked.length > 0) {
+        console.log(`🚪 Disclaimer gate not passed: ${blocked.length} audits`);
+        blocked.forEach(r => console.log(`   ${r.url} (${r.device}${r.view === 'consent' ? ', after consent' : ''})`));
+      }
+    }
     
     if (successfulAudits.length > 0) {
       console.log('\n📊 Average Scores:');
-      const avgScores = {
-        performance: Math.round(successfulAudits.reduce((sum, r) => sum + r.scores.performance, 0) / successfulAudits.length),
-        accessibility: Math.round(successfulAudits.reduce((sum, r) => sum + r.scores.accessibility, 0) / successfulAudits.length),
-        bestPractices: Math.round(successfulAudits.reduce((sum, r) => sum + r.scores.bestPractices, 0) / successfulAudits.length),
-        seo: Math.round(successfulAudits.reduce((sum, r) => sum + r.scores.seo, 0) / successfulAudits.length)
-      };
-      
-      console.log(`   Performance: ${avgScores.performance}/100`);
-      console.log(`   Accessibility: ${avgScores.accessibility}/100`);
-      console.log(`   Best Practices: ${avgScores.bestPractices}/100`);
-      console.log(`   SEO: ${avgScores.seo}/100`);
+      for (const id of options.categories) {
+        const { key, label } = CATEGORIES[id];
+        console.log(`   ${label}: ${averageScore(successfulAudits, key)}/100`);
+      }
+
+      console.log('\n⏱️  Average Metrics:');
+      for (const [name, { label }] of Object.entries(METRICS)) {
+        const value = averageMetric(successfulAudits, name);
+        const icon = RATING_ICONS[getRating(name, value)] || '⚪';
+        console.log(`   ${icon} ${label}: ${formatMetric(name, value)}`);
+      }
+    }
+
+    if (topIssues.length > 0) {
+      console.log('\n🔥 Top Issues Across Pages:');
+      topIssues.slice(0, 5).forEach(issue => {
+        console.log(`   ${issue.pages} pages: ${issue.title}${issue.totalSavingsMs > 0 ? ` (~${formatSavings(issue)} total savings)` : ''}`);
+      });
+    }
+
+    if (baselineSummary) {
+      console.log(`\n📐 Changes since baseline "${baselineSummary.baseline}": ${baselineSummary.compared} compared, ${baselineSummary.regressed} regressed, ${baselineSummary.missing.length} not in baseline`);
+      results.filter(r => r.comparison && r.comparison.regressions.length > 0).forEach(r => {
+        console.log(`   ${r.url} (${r.device}, ${r.view} view):`);
+        r.comparison.regressions.forEach(message => console.log(`     - ${message}`));
+      });
+    }
+
+    if (budgetsEnabled) {
+      const overBudget = successfulAudits.filter(r => r.violations.length > 0);
+      const violationCount = overBudget.reduce((sum, r) => sum + r.violations.length, 0);
+      console.log(`\n💰 Budget violations: ${violationCount} in ${overBudget.length} audits`);
+      overBudget.forEach(r => {
+        console.log(`   ${r.url} (${r.device}, ${r.view} view):`);
+        r.violations.forEach(v => console.log(`     - ${v.message}`));
+      });
+
+      // A failed audit cannot be checked, so it must not pass the budgets silently
+      if (failedAudits.length > 0) {
+        console.log(`🚫 Not checked against the budgets: ${failedAudits.length} failed audits`);
+      }
+
+      if (overBudget.length > 0 || failedAudits.length > 0) {
+        process.exitCode = 1;
+      }
     }
 
     console.log(`\n📁 All reports saved in: ${outputDir}`);
-    console.log('🎉 Lighthouse E2E Audit completed successfully!');
+    if (process.exitCode) {
+      const problems = [
+        ...(budgetsEnabled && successfulAudits.some(r => r.violations.length > 0) ? ['budget violations'] : []),
+        ...(budgetsEnabled && failedAudits.length > 0 ? ['failed audits'] : [])
+      ];
+      console.log(`🚨 Lighthouse E2E Audit completed with ${problems.join(' and ') || 'errors'}`);
+    } else {
+      console.log('🎉 Lighthouse E2E Audit completed successfully!');
+    }
 
   } catch (error) {
     console.error('💥 Error during audit:', error);
@@ -123,12 +423,145 @@ async function main() {
   }
 }
 
+/**
+ * Record where URL entries were read from
+ * @param {Array} entries - URL records
+ * @param {string} source - CSV file, sitemap or "crawl"
+ * @returns {Array}
+ */
+function withSource(entries, source) {
+  return entries.map(entry => ({ ...entry, source }));
+}
+
+/**
+ * Drop URLs that appear in more than one input, keeping the first occurrence
+ * @param {Array} urls - URL records from all inputs
+ * @returns {{unique: Array, duplicates: number}}
+ */
+function dedupeUrls(urls) {
+  const seen = new Set();
+  const unique = urls.filter(({ url }) => {
+    let key = url;
+    try {
+      key = new URL(url).toString();
+    } catch (error) {
+      // Keep the raw URL as the key; the audit reports the problem
+    }
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  return { unique, duplicates: urls.length - unique.length };
+}
+
+/**
+ * Pick the URLs of one shard: every n-th URL, starting at the i-th. The
+ * shards of one URL list are disjoint and together cover all of it.
+ * @param {Array} urls - URL records, in input order
+ * @param {{index: number, total: number}} shard - 1-based shard index and shard count
+ * @returns {Array}
+ */
+function pickShard(urls, { index, total }) {
+  return urls.filter((entry, position) => position % total === index - 1);
+}
+
+/**
+ * Check a URL entry against the --tag and --group selection. With both
+ * options the entry needs one of the tags and one of the groups.
+ * @param {Object} entry - URL record
+ * @param {string[]} tags - Lowercase tags, empty for any
+ * @param {string[]} groups - Lowercase groups, empty for any
+ * @returns {boolean}
+ */
+function matchesSelection(entry, tags, groups) {
+  const entryTags = (entry.tags || []).map(tag => tag.toLowerCase());
+  const tagMatches = tags.length === 0 || tags.some(tag => entryTags.includes(tag));
+  const groupMatches = groups.length === 0 || groups.includes((entry.group || '').toLowerCase());
+  return tagMatches && groupMatches;
+}
+
+/**
+ * Pick the tags, group and source of a URL entry that are copied onto its results
+ * @param {Object} entry - URL record from a CSV file, sitemap or crawl
+ * @returns {{tags?: string[], group?: string, source?: string}}
+ */
+function getEntryLabels({ tags, group, source }) {
+  const labels = {};
+  if (tags) {
+    labels.tags = tags;
+  }
+  if (group) {
+    labels.group = group;
+  }
+  if (source) {
+    labels.source = source;
+  }
+  return labels;
+}
+
+/**
+ * Average a score over successful audits
+ * @param {Array} audits - Successful audit results
+ * @param {string} key - Key in `scores`
+ * @returns {number}
+ */
+function averageScore(audits, key) {
+  const scored = audits.filter(r => typeof r.scores[key] === 'number');
+  if (scored.length === 0) {
+    return 0;
+  }
+  return Math.round(scored.reduce((sum, r) => sum + r.scores[key], 0) / scored.length);
+}
+
+/**
+ * Average a metric over successful audits
+ * @param {Array} audits - Successful audit results
+ * @param {string} name - Metric name
+ * @returns {number|null}
+ */
+function averageMetric(audits, name) {
+  const values = audits.map(r => r.metrics && r.metrics[name]).filter(value => typeof value === 'number');
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Format all metrics of an audit as one console line with rating icons
+ * @param {Object} metrics - Values keyed by METRICS name
+ * @returns {string}
+ */
+function formatMetricLine(metrics) {
+  return Object.entries(METRICS)
+    .map(([name, { short }]) => `${RATING_ICONS[getRating(name, metrics[name])] || '⚪'} ${short} ${formatMetric(name, metrics[name])}`)
+    .join('  ');
+}
+
+/**
+ * Format the scores and metrics of a user flow step as one line
+ * @param {Object} step - Flow step summary from runUserFlow()
+ * @returns {string}
+ */
+function formatStepLine(step) {
+  const scores = Object.entries(step.scores).map(([key, score]) => `${key} ${score}`);
+  const metrics = Object.entries(step.metrics).map(([name, value]) =>
+    name === 'inp' ? `INP ${Math.round(value)} ms` : `${METRICS[name].short} ${formatMetric(name, value)}`);
+  return [...scores, ...metrics].join(', ') || 'no scores';
+}
+
 /**
  * Generate HTML summary report
  * @param {Array} results - Audit results
  * @param {string} outputDir - Output directory
+ * @param {Object} [sections] - Optional report sections
+ * @param {Object} [sections.baselineSummary] - Result of applyBaseline()
+ * @param {Array} [sections.trends] - Result of getTrends()
+ * @param {Array} [sections.topIssues] - Result of aggregateTopIssues()
  */
-async function generateHTMLSummary(results, outputDir) {
+async function generateHTMLSummary(results, outputDir, sections = {}) {
   const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -229,6 +662,47 @@ async function generateHTMLSummary(results, outputDir) {
             border-radius: 4px; 
             border: 1px solid #f5c6cb; 
         }
+        .over-budget { border-left: 4px solid #fd7e14; }
+        .section { margin-bottom: 30px; overflow-x: auto; }
+        .section h2 { color: #333; border-bottom: 2px solid #667eea; padding-bottom: 8px; }
+        .section table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        .section th, .section td { padding: 8px; border-bottom: 1px solid #e9ecef; text-align: left; }
+        .section th { background: #f8f9fa; }
+        .delta-better { color: #28a745; }
+        .delta-worse { color: #dc3545; }
+        .delta-regression { color: #dc3545; font-weight: bold; }
+        .sparkline { vertical-align: middle; margin-right: 6px; }
+        .sparkline polyline { fill: none; stroke: #667eea; stroke-width: 1.5; }
+        .sparkline circle { fill: #764ba2; }
+        .metrics { 
+            display: grid; 
+            grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); 
+            gap: 8px; 
+            margin: 15px 0; 
+        }
+        .metric { 
+            padding: 8px; 
+            border-radius: 6px; 
+            background: #f8f9fa; 
+            border-left: 4px solid #adb5bd; 
+            font-size: 0.85em; 
+        }
+        .metric strong { display: block; font-size: 1.3em; }
+        .metric.good { border-left-color: #0cce6b; background: #e6f9ef; }
+        .metric.needs-improvement { border-left-color: #ffa400; background: #fff5e0; }
+        .metric.poor { border-left-color: #ff4e42; background: #ffeceb; }
+        .spread { display: block; font-size: 0.75em; font-weight: normal; opacity: 0.9; margin-top: 4px; }
+        .flow { margin-top: 15px; border-top: 1px solid #eee; padding-top: 10px; }
+        .flow table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+        .flow th, .flow td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+        .violations { 
+            color: #8a4b08; 
+            background: #fff3cd; 
+            padding: 10px 10px 10px 30px; 
+            border-radius: 4px; 
+            border: 1px solid #ffeeba; 
+            margin: 15px 0 0 0; 
+        }
     </style>
 </head>
 <body>
@@ -241,7 +715,7 @@ async function generateHTMLSummary(results, outputDir) {
         <div class="content">
             <div class="stats">
                 <div class="stat-card">
-                    <div class="stat-number">${results.length / 2}</div>
+                    <div class="stat-number">${new Set(results.map(r => r.url)).size}</div>
                     <div class="stat-label">URLs Tested</div>
                 </div>
                 <div class="stat-card">
@@ -253,34 +727,72 @@ async function generateHTMLSummary(results, outputDir) {
                     <div class="stat-label">Failed Audits</div>
                 </div>
                 <div class="stat-card">
-                    <div class="stat-number">${results.filter(r => !r.error).length > 0 ? 
-                        Math.round(results.filter(r => !r.error).reduce((sum, r) => sum + r.scores.performance, 0) / results.filter(r => !r.error).length) : 0}</div>
+                    <div class="stat-number">${averageScore(results.filter(r => !r.error), 'performance')}</div>
                     <div class="stat-label">Avg Performance</div>
                 </div>
+                ${results.some(r => r.violations) ? `
+                <div class="stat-card">
+                    <div class="stat-number">${results.filter(r => r.violations && r.violations.length > 0).length}</div>
+                    <div class="stat-label">Over Budget</div>
+                </div>` : ''}
             </div>
+
+            ${results.some(r => r.error) ? renderFailureSection(results) : ''}
+
+            ${results.some(r => r.disclaimers) ? renderDisclaimerSection(results) : ''}
+
+            ${sections.baselineSummary ? renderBaselineSection(results, sections.baselineSummary) : ''}
+
+            ${sections.topIssues && sections.topIssues.length > 0 ? renderTopIssuesSection(sections.topIssues) : ''}
+
+            ${sections.trends && sections.trends.length > 0 ? renderTrendsSection(sections.trends) : ''}
             
             ${results.map(result => `
-                <div class="result ${result.error ? 'error' : 'success'}">
+                <div class="result ${result.error ? 'error' : result.violations && result.violations.length > 0 ? 'over-budget' : 'success'}">
                     <div class="result-header">
-                        <h3>${result.description} (${result.device})</h3>
+                        <h3>${result.description} (${result.device}${result.view === 'consent' ? ', after consent' : ''})</h3>
                         <p><strong>URL:</strong> <a href="${result.url}" target="_blank">${result.url}</a></p>
+                        ${result.group || result.tags ? `<p><strong>Group:</strong> ${escapeHtml(result.group || '-')}${result.tags ? ` | <strong>Tags:</strong> ${result.tags.map(escapeHtml).join(', ')}` : ''}</p>` : ''}
+                        ${result.source ? `<p><strong>Source:</strong> ${escapeHtml(result.source)}</p>` : ''}
+                        ${result.disclaimers && result.disclaimers.cmp ? `<p><strong>Consent platform:</strong> ${escapeHtml(describeCmp(result.disclaimers.cmp))}</p>` : ''}
+                        ${result.disclaimers && result.disclaimers.timing ? `<p><strong>Disclaimer handling:</strong> ${escapeHtml(describeDisclaimerTiming(result.disclaimers.timing))}</p>` : ''}
+                        ${result.profile ? `<p><strong>Profile:</strong> ${escapeHtml(result.profile.name)} (${escapeHtml(describeProfile(result.profile))})</p>` : ''}
                     </div>
                     <div class="result-content">
                         ${result.error ? 
                             `<div class="error-message">
-                                <strong>Error:</strong> ${result.error}
+                                <strong>${result.failure ? escapeHtml((FAILURE_CATEGORIES[result.failure.category] || FAILURE_CATEGORIES.unknown).label) : 'Error'}:</strong> ${escapeHtml(result.error)}
+                                ${result.retries > 0 ? `<br><small>Failed after ${result.retries} ${result.retries === 1 ? 'retry' : 'retries'}</small>` : ''}
                             </div>` :
                             `<div class="scores">
-                                <div class="score performance">Performance<br>${result.scores.performance}</div>
-                                <div class="score accessibility">Accessibility<br>${result.scores.accessibility}</div>
-                                <div class="score best-practices">Best Practices<br>${result.scores.bestPractices}</div>
-                                <div class="score seo">SEO<br>${result.scores.seo}</div>
+                                ${Object.entries(CATEGORIES)
+                                  .filter(([, { key }]) => result.scores[key] !== undefined)
+                                  .map(([id, { key, label }]) => `<div class="score ${id}">${label}<br>${result.scores[key]}${renderSpread(result, key)}</div>`)
+                                  .join('')}
                             </div>
+                            ${result.metrics ? `
+                            <div class="metrics">
+                                ${Object.entries(METRICS).map(([name, { label }]) => `
+                                <div class="metric ${getRating(name, result.metrics[name]) || ''}" title="${label}">
+                                    ${label}<strong>${formatMetric(name, result.metrics[name])}</strong>
+                                </div>`).join('')}
+                            </div>` : ''}
+                            ${result.runs ? `
+                            <p>🔁 Median of ${result.runs.completed} runs by ${result.runs.medianBy}${result.runs.failed > 0 ? ` (${result.runs.failed} failed)` : ''}${result.spread ? `; ${Object.keys(METRICS)
+                              .filter(name => result.spread.metrics[name])
+                              .map(name => `${METRICS[name].label} ${formatMetric(name, result.spread.metrics[name].min)}–${formatMetric(name, result.spread.metrics[name].max)}`)
+                              .join(', ')}` : ''}</p>` : ''}
+                            ${result.violations && result.violations.length > 0 ? `
+                            <ul class="violations">
+                                ${result.violations.map(v => `<li>💸 ${v.message}</li>`).join('')}
+                            </ul>` : ''}
+                            ${result.retries > 0 ? `<p>🔄 Succeeded after ${result.retries} ${result.retries === 1 ? 'retry' : 'retries'}</p>` : ''}
                             <div class="links">
                                 <a href="file://${result.report}" target="_blank">📄 View Report</a>
                                 <a href="file://${result.screenshot}" target="_blank">📸 View Screenshot</a>
                             </div>`
                         }
+                        ${result.flow ? renderFlow(result.flow) : ''}
                     </div>
                 </div>
             `).join('')}
@@ -294,7 +806,373 @@ async function generateHTMLSummary(results, outputDir) {
   console.log(`📄 HTML summary saved to: ${summaryHTMLPath}`);
 }
 
+/**
+ * Render the user flow of an audit: one row per step with its scores and metrics
+ * @param {Object} flow - Flow summary from runUserFlow(), or {name, error}
+ * @returns {string}
+ */
+function renderFlow(flow) {
+  if (flow.error) {
+    return `<div class="flow error-message"><strong>User flow "${escapeHtml(flow.name)}" failed:</strong> ${escapeHtml(flow.error)}</div>`;
+  }
+
+  return `
+                        <div class="flow">
+                            <h4>🧭 User flow: ${escapeHtml(flow.name)} <a href="file://${flow.report}" target="_blank">📄 View Flow Report</a></h4>
+                            <table>
+                                <tr><th>Step</th><th>Mode</th><th>Results</th></tr>
+                                ${flow.steps.map(step => `
+                                <tr>
+                                    <td>${escapeHtml(step.name)}</td>
+                                    <td>${step.mode}</td>
+                                    <td>${escapeHtml(formatStepLine(step))}</td>
+                                </tr>`).join('')}
+                            </table>
+                        </div>`;
+}
+
+/**
+ * Render the min-max range and standard deviation of a score across runs
+ * @param {Object} result - Audit result, possibly with `spread`
+ * @param {string} key - Key in `scores`
+ * @returns {string}
+ */
+function renderSpread(result, key) {
+  const stats = result.spread && result.spread.scores[key];
+  if (!stats) {
+    return '';
+  }
+  return `<span class="spread">${stats.min}–${stats.max} · σ ${stats.stddev.toFixed(1)}</span>`;
+}
+
+/**
+ * Render the "changes since baseline" section of the HTML summary
+ * @param {Array} results - Audit results with `comparison`
+ * @param {Object} baselineSummary - Result of applyBaseline()
+ * @returns {string}
+ */
+function renderBaselineSection(results, baselineSummary) {
+  const compared = results.filter(r => r.comparison);
+  const metricNames = Object.keys(METRICS);
+
+  const formatDelta = (delta, text, { regression, lowerIsBetter }) => {
+    const better = lowerIsBetter ? delta < 0 : delta > 0;
+    const className = regression ? 'delta-regression' : delta === 0 ? '' : better ? 'delta-better' : 'delta-worse';
+    return `<span class="${className}">${text}</span>`;
+  };
+
+  return `
+            <div class="section">
+                <h2>📐 Changes Since Baseline "${baselineSummary.baseline}"</h2>
+                <p>${baselineSummary.compared} audits compared, ${baselineSummary.regressed} regressed, ${baselineSummary.missing.length} not in baseline.</p>
+                <table>
+                    <tr>
+                        <th>URL</th><th>Device</th>
+                        ${Object.values(CATEGORIES).map(({ label }) => `<th>${label}</th>`).join('')}
+                        ${metricNames.map(name => `<th>${METRICS[name].label}</th>`).join('')}
+                    </tr>
+                    ${compared.map(r => `
+                    <tr>
+                        <td><a href="${r.url}" target="_blank">${r.url}</a>${r.view === 'consent' ? ' (after consent)' : ''}</td>
+                        <td>${r.device}</td>
+                        ${Object.values(CATEGORIES).map(({ key }) => {
+                          const s = r.comparison.scores[key];
+                          return `<td>${s ? `${s.current} ${formatDelta(s.delta, `(${s.delta > 0 ? '+' : ''}${s.delta})`, s)}` : '–'}</td>`;
+                        }).join('')}
+                        ${metricNames.map(name => {
+                          const m = r.comparison.metrics[name];
+                          return `<td>${m ? `${formatMetric(name, m.current)} ${formatDelta(m.delta, `(${m.deltaPercent > 0 ? '+' : ''}${Math.round(m.deltaPercent)}%)`, { ...m, lowerIsBetter: true })}` : '–'}</td>`;
+                        }).join('')}
+                    </tr>`).join('')}
+                </table>
+            </div>`;
+}
+
+/**
+ * Render the score and metric history of every audited page
+ * @param {Array} trends - Result of getTrends()
+ * @returns {string}
+ */
+function renderTrendsSection(trends) {
+  const metricNames = Object.keys(METRICS);
+  const latest = (entries, pick) => {
+    const values = entries.map(pick).filter(value => typeof value === 'number');
+    return values.length > 0 ? values[values.length - 1] : null;
+  };
+
+  return `
+            <div class="section">
+                <h2>📈 Trends</h2>
+                <p>Last ${Math.max(...trends.map(t => t.entries.length))} recorded audits per page, oldest to newest.</p>
+                <table>
+                    <tr>
+                        <th>URL</th><th>Device</th><th>Runs</th>
+                        ${Object.values(CATEGORIES).map(({ label }) => `<th>${label}</th>`).join('')}
+                        ${metricNames.map(name => `<th>${METRICS[name].label}</th>`).join('')}
+                    </tr>
+                    ${trends.map(trend => `
+                    <tr>
+                        <td><a href="${trend.url}" target="_blank">${trend.url}</a>${trend.view === 'consent' ? ' (after consent)' : ''}</td>
+                        <td>${trend.device}</td>
+                        <td>${trend.entries.length}</td>
+                        ${Object.values(CATEGORIES).map(({ key }) => {
+                          const pick = entry => entry.scores && entry.scores[key];
+                          const value = latest(trend.entries, pick);
+                          return `<td>${renderSparkline(trend.entries.map(pick))}${value === null ? '–' : value}</td>`;
+                        }).join('')}
+                        ${metricNames.map(name => {
+                          const pick = entry => entry.metrics && entry.metrics[name];
+                          return `<td>${renderSparkline(trend.entries.map(pick))}${formatMetric(name, latest(trend.entries, pick))}</td>`;
+                        }).join('')}
+                    </tr>`).join('')}
+                </table>
+            </div>`;
+}
+
+/**
+ * Render a small inline SVG line chart
+ * @param {Array<number|null>} values - Values, oldest first; non-numbers are skipped
+ * @returns {string}
+ */
+function renderSparkline(values) {
+  const points = values.filter(value => typeof value === 'number');
+  if (points.length < 2) {
+    return '';
+  }
+
+  const width = 80;
+  const height = 20;
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min || 1;
+  const coords = points.map((value, index) => [
+    (index / (points.length - 1)) * width,
+    height - 2 - ((value - min) / range) * (height - 4)
+  ].map(n => n.toFixed(1)));
+  const [lastX, lastY] = coords[coords.length - 1];
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<polyline points="${coords.map(c => c.join(',')).join(' ')}"/>` +
+    `<circle cx="${lastX}" cy="${lastY}" r="2"/></svg>`;
+}
+
+/**
+ * Render the ten most widespread issues with a link to the full page
+ * @param {Array} topIssues - Result of aggregateTopIssues()
+ * @returns {string}
+ */
+function renderTopIssuesSection(topIssues) {
+  return `
+            <div class="section">
+                <h2>🔥 Top Issues Across Pages</h2>
+                <table>
+                    <tr><th>Issue</th><th>Category</th><th>Pages</th><th>Est. Savings</th></tr>
+                    ${topIssues.slice(0, 10).map(issue => `
+                    <tr>
+                        <td>${escapeHtml(issue.title)}</td>
+                        <td>${escapeHtml(issue.categories.join(', '))}</td>
+                        <td>${issue.pages}</td>
+                        <td>${formatSavings(issue) || '–'}</td>
+                    </tr>`).join('')}
+                </table>
+                <div class="links"><a href="top-issues.html">🔥 All ${topIssues.length} issues with affected URLs</a></div>
+            </div>`;
+}
+
+/**
+ * Prepare an audit read back from the checkpoint for this run: successful
+ * audits are checked against the current budgets, which may differ from the
+ * ones of the interrupted run
+ * @param {Object} result - Audit result from the checkpoint
+ * @param {boolean} budgetsEnabled - Whether this run checks budgets
+ * @param {{defaults: Object, overrides: Array}|null} budgets - Loaded budgets, if any
+ * @param {{scores: Object, metrics: Object}} [urlBudget] - Per-URL limits from the input CSV
+ * @returns {Object}
+ */
+function resumeResult(result, budgetsEnabled, budgets, urlBudget) {
+  const { violations, ...resumed } = result;
+  if (budgetsEnabled && !resumed.error) {
+    resumed.violations = evaluateBudgets(resumed, budgets, urlBudget);
+  }
+  return resumed;
+}
+
+/**
+ * Describe how a consent platform banner was answered, e.g. "OneTrust (accept button, main frame)"
+ * @param {Object} cmp - Consent platform result from handleConsentPlatform()
+ * @returns {string}
+ */
+function describeCmp(cmp) {
+  const how = cmp.method === 'none' ? 'no banner shown' : `${cmp.action} ${cmp.method === 'api' ? 'via API' : 'button'}`;
+  return `${cmp.name} (${how}, ${cmp.frame})${cmp.dismissed ? '' : ' ⚠️ banner still visible'}`;
+}
+
+/**
+ * Describe the time disclaimer handling took, e.g. "1240ms (load 800ms, rules 0ms, consent 150ms, cookie 290ms)"
+ * @param {Object} timing - Timing returned by handleDisclaimers()
+ * @returns {string}
+ */
+function describeDisclaimerTiming(timing) {
+  const phases = Object.entries(timing.phases).map(([phase, ms]) => `${phase} ${ms}ms`).join(', ');
+  return `${timing.totalMs}ms (${phases})${timing.exhausted ? ` ⚠️ used up the ${timing.budgetMs}ms budget` : ''}`;
+}
+
+/**
+ * Render what disclaimer handling did for every audit, so pages whose gate
+ * was not passed stand out
+ * @param {Array} results - Audit results
+ * @returns {string}
+ */
+function renderDisclaimerSection(results) {
+  const labels = { passed: '✅ Passed', blocked: '❌ Not passed', none: '➖ None found', error: '⚠️ Check failed' };
+  return `
+            <div class="section">
+                <h2>🚪 Disclaimer Handling</h2>
+                <table>
+                    <tr><th>URL</th><th>Device</th><th>Disclaimers</th><th>Matched</th><th>Time</th><th>Errors</th></tr>
+                    ${results.filter(r => r.disclaimers).map(r => {
+                      const { detected, elapsedMs, errors } = r.disclaimers;
+                      const status = getDisclaimerStatus(r.disclaimers);
+                      return `
+                    <tr>
+                        <td><a href="${r.url}" target="_blank">${r.url}</a>${r.view === 'consent' ? ' (after consent)' : ''}</td>
+                        <td>${r.device}</td>
+                        <td class="${status === 'blocked' || status === 'error' ? 'delta-regression' : ''}">${labels[status]}</td>
+                        <td>${detected.map(banner => escapeHtml(describeBanner(banner))).join('<br>') || '–'}</td>
+                        <td>${elapsedMs === null ? '–' : `${elapsedMs}ms`}</td>
+                        <td>${errors.map(escapeHtml).join('<br>') || '–'}</td>
+                    </tr>`;
+                    }).join('')}
+                </table>
+            </div>`;
+}
+
+/**
+ * Render the failed audits grouped by failure category
+ * @param {Array} results - Audit results
+ * @returns {string}
+ */
+function renderFailureSection(results) {
+  return `
+            <div class="section">
+                <h2>🚨 Failures by Category</h2>
+                <table>
+                    <tr><th>Category</th><th>Audits</th><th>Retried</th><th>URLs</th></tr>
+                    ${getFailureBreakdown(results).map(({ label, count, results: failed }) => `
+                    <tr>
+                        <td>${escapeHtml(label)}</td>
+                        <td>${count}</td>
+                        <td>${failed.filter(r => r.retries > 0).length}</td>
+                        <td>${failed.map(r => `${escapeHtml(r.url)} (${escapeHtml(r.device)}${r.failure && r.failure.statusCode ? `, ${r.failure.statusCode}` : ''})`).join('<br>')}</td>
+                    </tr>`).join('')}
+                </table>
+            </div>`;
+}
+
+/**
+ * Generate the dedicated top issues page next to audit-summary.html
+ * @param {Array} topIssues - Result of aggregateTopIssues()
+ * @param {string} outputDir - Output directory
+ */
+async function generateTopIssuesHTML(topIssues, outputDir) {
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Lighthouse Top Issues</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 2.5em; }
+        .header p { margin: 10px 0 0 0; opacity: 0.9; }
+        .header a { color: white; }
+        .content { padding: 30px; }
+        .issue { border: 1px solid #e9ecef; border-left: 4px solid #fd7e14; border-radius: 8px; margin: 15px 0; padding: 15px 20px; }
+        .issue h3 { margin: 0 0 5px 0; }
+        .meta { color: #666; font-size: 0.9em; }
+        .issue table { width: 100%; border-collapse: collapse; font-size: 0.9em; margin-top: 10px; }
+        .issue th, .issue td { padding: 6px 8px; border-bottom: 1px solid #e9ecef; text-align: left; }
+        .issue th { background: #f8f9fa; }
+        a { color: #667eea; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔥 Top Issues Across Pages</h1>
+            <p>Generated on ${new Date().toLocaleString()} · <a href="audit-summary.html">Back to summary</a></p>
+        </div>
+        <div class="content">
+            ${topIssues.length === 0 ? '<p>No failing audits found. 🎉</p>' : ''}
+            ${topIssues.map(issue => `
+            <div class="issue">
+                <h3>${escapeHtml(issue.title)}</h3>
+                <div class="meta">
+                    <code>${issue.id}</code> · ${escapeHtml(issue.categories.join(', '))} ·
+                    ${issue.pages} pages, ${issue.affected.length} audits${formatSavings(issue) ? ` · ~${formatSavings(issue)} estimated savings in total` : ''}
+                </div>
+                <table>
+                    <tr><th>URL</th><th>Device</th><th>Details</th><th>Report</th></tr>
+                    ${issue.affected.map(entry => `
+                    <tr>
+                        <td><a href="${entry.url}" target="_blank">${entry.url}</a>${entry.view === 'consent' ? ' (after consent)' : ''}</td>
+                        <td>${entry.device}</td>
+                        <td>${escapeHtml(entry.displayValue) || '–'}</td>
+                        <td><a href="file://${entry.report}" target="_blank">📄 View</a></td>
+                    </tr>`).join('')}
+                </table>
+            </div>`).join('')}
+        </div>
+    </div>
+</body>
+</html>`;
+
+  const topIssuesHTMLPath = path.join(outputDir, 'top-issues.html');
+  await fs.writeFile(topIssuesHTMLPath, html);
+  console.log(`📄 Top issues page saved to: ${topIssuesHTMLPath}`);
+}
+
+/**
+ * Format the estimated savings of an issue
+ * @param {{totalSavingsMs: number, totalSavingsBytes: number}} issue - Aggregated issue
+ * @returns {string} Empty when there are no savings
+ */
+function formatSavings({ totalSavingsMs, totalSavingsBytes }) {
+  const parts = [];
+  if (totalSavingsMs > 0) {
+    parts.push(formatMetric('lcp', totalSavingsMs));
+  }
+  if (totalSavingsBytes > 0) {
+    parts.push(formatMetric('totalByteWeight', totalSavingsBytes));
+  }
+  return parts.join(' / ');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Run the script
 if (require.main === module) {
   main().catch(console.error);
-} 
\ No newline at end of file
+}
+
+module.exports = {
+  main,
+  resumeResult,
+  dedupeUrls,
+  pickShard,
+  generateHTMLSummary,
+  generateTopIssuesHTML
+}; 
\ No newline at end of file
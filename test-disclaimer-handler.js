@@ -7,10 +7,17 @@
 
 const { chromium } = require('playwright');
 const { handleDisclaimers } = require('./utils/disclaimer-handler');
+const { loadDisclaimerRules } = require('./utils/disclaimer-rules');
+const { loadDisclaimerTexts } = require('./utils/disclaimer-texts');
 
 async function testDisclaimerHandler() {
   console.log('🧪 Testing Disclaimer Handler...\n');
 
+  // Rules from data/disclaimer-rules.json (or the file given as first argument)
+  const rules = await loadDisclaimerRules(process.argv[2]);
+  // Extra button texts from data/disclaimer-texts.json (or the file given as second argument)
+  const texts = await loadDisclaimerTexts(process.argv[3]);
+
   const browser = await chromium.launch({ headless: false }); // Use headed mode for testing
   const context = await browser.newContext();
   const page = await context.newPage();
@@ -43,7 +50,7 @@ async function testDisclaimerHandler() {
         console.log('📄 Page loaded, checking for disclaimers...');
         
         // Handle any disclaimers that appear
-        await handleDisclaimers(page);
+        await handleDisclaimers(page, undefined, { rules, texts });
         
         console.log('✅ Disclaimer check completed');
         
@@ -0,0 +1,196 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const {
+  handleDisclaimers,
+  findFirst,
+  getDisclaimerStatus,
+  detectConsentPlatform,
+  describeBanner
+} = require('../utils/disclaimer-handler');
+
+/**
+ * Disclaimer handling against the static pages in tests/fixtures/disclaimers.
+ * Pages are served from https://fixtures.test/<path>/<fixture>.html, so the
+ * path can carry a locale the way real sites do.
+ */
+const FIXTURES = path.join(__dirname, 'fixtures', 'disclaimers');
+
+/**
+ * Open a fixture page
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} urlPath - Path ending in the fixture file name, e.g. 'de/german.html'
+ */
+async function openFixture(page, urlPath) {
+  await page.route('https://fixtures.test/**', route => route.fulfill({
+    path: path.join(FIXTURES, path.basename(new URL(route.request().url()).pathname))
+  }));
+  await page.goto(`https://fixtures.test/${urlPath}`);
+}
+
+test.describe('findFirst', () => {
+  test.beforeEach(async ({ page }) => {
+    await openFixture(page, 'selectors.html');
+  });
+
+  test('picks the first selector of the list, not the first element of the page', async ({ page }) => {
+    const found = await findFirst(page.mainFrame(), ['#missing', '#second', '#first']);
+    expect(found).toMatchObject({ index: 1, selector: '#second' });
+    await expect(found.element).toHaveText('Second in the document');
+  });
+
+  test('skips hidden elements unless asked not to', async ({ page }) => {
+    expect(await findFirst(page.mainFrame(), ['#hidden', '#first'])).toMatchObject({ index: 1 });
+    expect(await findFirst(page.mainFrame(), ['#hidden', '#first'], false)).toMatchObject({ index: 0 });
+  });
+
+  test('returns null when nothing matches', async ({ page }) => {
+    expect(await findFirst(page.mainFrame(), ['#missing', '#hidden'])).toBeNull();
+    expect(await findFirst(page.mainFrame(), [])).toBeNull();
+  });
+
+  test('checks the selectors one by one when the combined query fails', async ({ page }) => {
+    const found = await findFirst(page.mainFrame(), ['button:no-such-pseudo', '#first']);
+    expect(found).toMatchObject({ index: 1, selector: '#first' });
+  });
+
+  test('throws when no selector could be checked', async ({ page }) => {
+    const frame = page.mainFrame();
+    await page.close();
+    await expect(findFirst(frame, ['#first'])).rejects.toThrow();
+  });
+});
+
+test.describe('handleDisclaimers', () => {
+  test('dismisses the consent gate and the cookie banner and times each phase', async ({ page }) => {
+    await openFixture(page, 'hcp-and-cookie.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.detected.map(({ kind, frame, dismissed }) => ({ kind, frame, dismissed }))).toEqual([
+      { kind: 'consent', frame: 'main frame', dismissed: true },
+      { kind: 'cookie', frame: 'main frame', dismissed: true }
+    ]);
+    expect(getDisclaimerStatus(result)).toBe('passed');
+    expect(result.errors).toEqual([]);
+    expect(Object.keys(result.timing.phases)).toEqual(['load', 'rules', 'consent', 'cookie']);
+    expect(result.timing).toMatchObject({ budgetMs: 10000, exhausted: false });
+    expect(result.elapsedMs).toBe(result.timing.totalMs);
+    await expect(page.locator('#hcp-gate, #cookie-banner')).toHaveCount(0);
+  });
+
+  test('reports a page without disclaimers', async ({ page }) => {
+    await openFixture(page, 'no-disclaimers.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.detected).toEqual([]);
+    expect(getDisclaimerStatus(result)).toBe('none');
+    expect(result.timing.exhausted).toBe(false);
+    expect(result.timing.totalMs).toBeLessThan(result.timing.budgetMs);
+  });
+
+  test('stops when the time budget is used up', async ({ page }) => {
+    await openFixture(page, 'sticky-cookie.html');
+    const result = await handleDisclaimers(page, 2000);
+
+    expect(result.detected.map(({ kind, dismissed }) => ({ kind, dismissed }))).toEqual([{ kind: 'cookie', dismissed: false }]);
+    expect(getDisclaimerStatus(result)).toBe('blocked');
+    expect(result.timing).toMatchObject({ budgetMs: 2000, exhausted: true });
+    expect(result.errors).toContain('Time budget of 2000ms used up');
+    // Waits are cut to the budget; only the last query may run over
+    expect(result.elapsedMs).toBeLessThan(3000);
+  });
+});
+
+test.describe('Banners in frames and shadow roots', () => {
+  test('clicks a banner inside an iframe and reports the frame', async ({ page }) => {
+    await openFixture(page, 'iframe-banner.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.detected.map(({ kind, frame, dismissed }) => ({ kind, frame, dismissed }))).toEqual([
+      { kind: 'cookie', frame: 'iframe "cmp" (about:srcdoc)', dismissed: true }
+    ]);
+    expect(result.dismissed).toBe(true);
+    expect(describeBanner(result.detected[0])).toMatch(/^cookie: .+ in iframe "cmp" \(about:srcdoc\)$/);
+    // The button removes its own iframe, which counts as dismissed
+    await expect(page.locator('#cmp')).toHaveCount(0);
+  });
+
+  test('reports a banner inside an iframe that stays after the click', async ({ page }) => {
+    await openFixture(page, 'iframe-sticky.html');
+    const result = await handleDisclaimers(page, 2000);
+
+    expect(result.detected.map(({ kind, frame, dismissed }) => ({ kind, frame, dismissed }))).toEqual([
+      { kind: 'cookie', frame: 'iframe "cmp" (about:srcdoc)', dismissed: false }
+    ]);
+    expect(getDisclaimerStatus(result)).toBe('blocked');
+    expect(describeBanner(result.detected[0])).toMatch(/ in iframe "cmp" \(about:srcdoc\) ⚠️ still visible$/);
+  });
+
+  test('clicks a button inside an open shadow root', async ({ page }) => {
+    await openFixture(page, 'shadow-gate.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.detected.map(({ kind, frame, dismissed }) => ({ kind, frame, dismissed }))).toEqual([
+      { kind: 'consent', frame: 'main frame', dismissed: true }
+    ]);
+    expect(describeBanner(result.detected[0])).toMatch(/^consent: .+ in main frame$/);
+    await expect(page.locator('#hcp-gate')).toHaveCount(0);
+  });
+});
+
+test.describe('Localized button texts', () => {
+  test('matches the buttons in the language of the lang attribute', async ({ page }) => {
+    await openFixture(page, 'german.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.language).toBe('de');
+    expect(result.detected.map(({ kind, dismissed }) => ({ kind, dismissed }))).toEqual([
+      { kind: 'consent', dismissed: true },
+      { kind: 'cookie', dismissed: true }
+    ]);
+    expect(result.detected[0].selector).toContain('Angehöriger');
+  });
+
+  test('takes the language from the URL when the page has no lang attribute', async ({ page }) => {
+    await openFixture(page, 'fr-fr/french-without-lang.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.language).toBe('fr');
+    expect(result.detected.map(({ kind, dismissed }) => ({ kind, dismissed }))).toEqual([{ kind: 'consent', dismissed: true }]);
+  });
+
+  test('uses the texts passed in', async ({ page }) => {
+    await openFixture(page, 'fr-fr/french-without-lang.html');
+    const texts = { en: { consent: [], cookie: [] }, fr: { consent: ['Continuer'], cookie: [] } };
+    const result = await handleDisclaimers(page, undefined, { texts });
+
+    expect(result.language).toBe('fr');
+    expect(result.detected).toEqual([]);
+  });
+});
+
+test.describe('Quantcast Choice', () => {
+  test('accepts with the Agree button', async ({ page }) => {
+    await openFixture(page, 'quantcast.html');
+    const result = await handleDisclaimers(page);
+
+    expect(result.cmp).toMatchObject({ id: 'quantcast', action: 'accept', method: 'button', dismissed: true });
+    await expect(page.locator('body')).toHaveAttribute('data-choice', 'agree');
+  });
+
+  test('rejects with the Disagree button, not More options', async ({ page }) => {
+    await openFixture(page, 'quantcast.html');
+    const result = await handleDisclaimers(page, undefined, { cmpAction: 'reject' });
+
+    expect(result.cmp).toMatchObject({ id: 'quantcast', action: 'reject', method: 'button', dismissed: true });
+    await expect(page.locator('body')).toHaveAttribute('data-choice', 'disagree');
+  });
+
+  test('does not take every TCF platform for Quantcast', async ({ page }) => {
+    await openFixture(page, 'tcf-other-platform.html');
+    expect(await detectConsentPlatform(page)).toBeNull();
+
+    const result = await handleDisclaimers(page);
+    expect(result.cmp).toBeNull();
+    expect(result.detected.map(({ kind, dismissed }) => ({ kind, dismissed }))).toEqual([{ kind: 'cookie', dismissed: true }]);
+  });
+});
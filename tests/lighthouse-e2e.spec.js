@@ -2,6 +2,9 @@ const { test, expect } = require('@playwright/test');
 const { readUrlsFromCSV, getDefaultCSVPath } = require('../utils/csv-reader');
 const { runLighthouseAudit } = require('../utils/lighthouse-runner');
 const { handleDisclaimers } = require('../utils/disclaimer-handler');
+const { loadBudgets, evaluateBudgets } = require('../utils/budgets');
+const { loadDisclaimerRules } = require('../utils/disclaimer-rules');
+const { loadDisclaimerTexts } = require('../utils/disclaimer-texts');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -15,6 +18,8 @@ const fs = require('fs-extra');
  */
 test.describe('Lighthouse E2E Tests', () => {
   let urls = [];
+  let budgets = null;
+  let disclaimers = {};
   const outputDir = path.join(__dirname, '..', 'reports');
 
   // Memory monitoring function
@@ -37,7 +42,16 @@ test.describe('Lighthouse E2E Tests', () => {
     try {
       urls = await readUrlsFromCSV(csvPath);
       console.log(`Found ${urls.length} URLs to test`);
+
+      // Budgets are optional: LIGHTHOUSE_BUDGETS=data/budgets.json npm test
+      if (process.env.LIGHTHOUSE_BUDGETS) {
+        budgets = await loadBudgets(process.env.LIGHTHOUSE_BUDGETS);
+        console.log(`Budgets loaded from: ${process.env.LIGHTHOUSE_BUDGETS}`);
+      }
       
+      // Site-specific disclaimer rules and extra button texts from data/, when present
+      disclaimers = { rules: await loadDisclaimerRules(), texts: await loadDisclaimerTexts() };
+
       // Create output directory
       await fs.ensureDir(outputDir);
     } catch (error) {
@@ -62,7 +76,7 @@ test.describe('Lighthouse E2E Tests', () => {
       // Test on Desktop
       console.log('\n--- Desktop Audit ---');
       try {
-        const desktopResult = await runLighthouseAudit(url, 'desktop', outputDir);
+        const desktopResult = await runLighthouseAudit(url, 'desktop', outputDir, { disclaimers });
         results.push({
           url,
           description,
@@ -95,7 +109,7 @@ test.describe('Lighthouse E2E Tests', () => {
       // Test on Mobile
       console.log('\n--- Mobile Audit ---');
       try {
-        const mobileResult = await runLighthouseAudit(url, 'mobile', outputDir);
+        const mobileResult = await runLighthouseAudit(url, 'mobile', outputDir, { disclaimers });
         results.push({
           url,
           description,
@@ -143,6 +157,15 @@ test.describe('Lighthouse E2E Tests', () => {
 
     // Assert that we have results
     expect(results.length).toBeGreaterThan(0);
+
+    // Assert that every successful audit stays within its budget
+    if (budgets) {
+      const violations = results
+        .filter(result => !result.error)
+        .flatMap(result => evaluateBudgets(result, budgets)
+          .map(v => `${result.url} (${result.device}): ${v.message}`));
+      expect(violations, 'Lighthouse budgets missed').toEqual([]);
+    }
     
     // Log final summary
     console.log('\n=== AUDIT SUMMARY ===');
@@ -169,7 +192,7 @@ test.describe('Lighthouse E2E Tests', () => {
         });
 
         // Handle any disclaimers that appear
-        await handleDisclaimers(page);
+        await handleDisclaimers(page, undefined, disclaimers);
 
         // Verify page loaded successfully
         await expect(page).toHaveTitle(/./);
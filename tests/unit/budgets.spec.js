@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadBudgets, resolveBudget, evaluateBudgets } = require('../../utils/budgets');
+
+/**
+ * Loading budgets files and checking audit results against them
+ */
+test.describe('loadBudgets', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'budgets-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const load = async (budgets) => {
+    const file = path.join(dir, 'budgets.json');
+    await fs.writeJson(file, budgets);
+    return loadBudgets(file);
+  };
+
+  test('rejects an unknown category', async () => {
+    await expect(load({ defaults: { scores: { speed: 80 } } })).rejects.toThrow('unknown category "speed"');
+  });
+
+  test('rejects an unknown metric', async () => {
+    await expect(load({ overrides: [{ url: 'https://example.com/', metrics: { ttfb: 500 } }] }))
+      .rejects.toThrow('overrides[0] has an unknown metric "ttfb"');
+  });
+
+  test('rejects scores outside 0-100 and overrides without a URL or pattern', async () => {
+    await expect(load({ defaults: { scores: { performance: 120 } } })).rejects.toThrow('between 0 and 100');
+    await expect(load({ overrides: [{ scores: { performance: 90 } }] })).rejects.toThrow('needs a "url" or "pattern"');
+  });
+
+  test('applies matching overrides in order on top of the defaults', async () => {
+    const budgets = await load({
+      defaults: { scores: { performance: 80 }, metrics: { lcp: 2500 } },
+      overrides: [
+        { pattern: '/en/', scores: { performance: 70 } },
+        { url: 'https://example.com/en/', devices: ['mobile'], scores: { performance: 60 } }
+      ]
+    });
+    expect(resolveBudget(budgets, 'https://example.com/en/', 'mobile')).toEqual({ scores: { performance: 60 }, metrics: { lcp: 2500 } });
+    expect(resolveBudget(budgets, 'https://example.com/en/', 'desktop').scores.performance).toBe(70);
+    expect(resolveBudget(budgets, 'https://example.com/de/', 'desktop').scores.performance).toBe(80);
+  });
+});
+
+test.describe('evaluateBudgets', () => {
+  const budgets = {
+    defaults: { scores: { performance: 80, accessibility: 90 }, metrics: { lcp: 2500, cls: 0.1 } },
+    overrides: []
+  };
+
+  test('reports scores below and metrics above their limits', () => {
+    const result = { url: 'https://example.com/', device: 'mobile', scores: { performance: 75, accessibility: 95 }, metrics: { lcp: 3000, cls: 0.05 } };
+    const violations = evaluateBudgets(result, budgets);
+    expect(violations.map(({ type, name, actual, limit }) => ({ type, name, actual, limit }))).toEqual([
+      { type: 'score', name: 'performance', actual: 75, limit: 80 },
+      { type: 'metric', name: 'lcp', actual: 3000, limit: 2500 }
+    ]);
+  });
+
+  test('skips scores and metrics without a value', () => {
+    const result = { url: 'https://example.com/', device: 'mobile', scores: { performance: null }, metrics: { lcp: null } };
+    expect(evaluateBudgets(result, budgets)).toEqual([]);
+  });
+
+  test('lets per-URL limits win over the budgets file', () => {
+    const result = { url: 'https://example.com/', device: 'mobile', scores: { performance: 75 }, metrics: {} };
+    expect(evaluateBudgets(result, budgets, { scores: { performance: 70 }, metrics: {} })).toEqual([]);
+    expect(evaluateBudgets(result, null, { scores: { performance: 90 }, metrics: {} }).map(v => v.name)).toEqual(['performance']);
+  });
+});
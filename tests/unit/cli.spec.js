@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const { parseArgs, CliError } = require('../../utils/cli');
+
+/**
+ * Parsing the command line of lighthouse-audit.js
+ */
+test.describe('parseArgs', () => {
+  const input = path.join(__dirname, '..', '..', 'package.json');
+  const parse = (...args) => parseArgs(['--input', input, ...args], {});
+
+  test('lowercases device and category names', () => {
+    const options = parse('--devices', 'Mobile, DESKTOP,mobile', '-c', 'Performance');
+    expect(options.devices).toEqual(['mobile', 'desktop']);
+    expect(options.categories).toEqual(['performance']);
+  });
+
+  test('rejects unknown devices', () => {
+    expect(() => parse('--devices', 'mobile,watch')).toThrow('Unknown devices: watch');
+  });
+
+  test('accepts inline values and aliases', () => {
+    const options = parse('--runs=3', '-j', '2', '--consent=Both');
+    expect(options.runs).toBe(3);
+    expect(options.concurrency).toBe(2);
+    expect(options.consentMode).toBe('both');
+  });
+
+  test('rejects --retry-failed without --resume', () => {
+    expect(() => parse('--retry-failed')).toThrow(CliError);
+    expect(() => parse('--retry-failed')).toThrow('only works together with --resume');
+    expect(parse('--retry-failed', '--resume').retryFailed).toBe(true);
+  });
+
+  test('rejects --crawl-export without --crawl', () => {
+    expect(() => parse('--crawl-export', 'urls.csv')).toThrow('needs at least one --crawl seed URL');
+  });
+
+  test('rejects an option given twice and values for flags', () => {
+    expect(() => parse('--runs', '2', '--runs', '3')).toThrow('--runs was given more than once');
+    expect(() => parse('--resume=yes')).toThrow('--resume does not take a value');
+    expect(() => parse('--runs', '--resume')).toThrow('--runs requires a value');
+  });
+
+  test('rejects unknown options', () => {
+    expect(() => parse('--fast')).toThrow('Unknown option: --fast');
+    expect(() => parse('-x')).toThrow('Unknown option: -x');
+  });
+
+  test('does not retry by default', () => {
+    expect(parse().retry.retries).toBe(0);
+  });
+
+  test('returns the help before checking the other arguments', () => {
+    expect(parseArgs(['--input', 'missing.csv', '--help'], {})).toEqual({ help: true });
+    expect(parseArgs(['-h', '--runs', 'many', '--fast'], {})).toEqual({ help: true });
+    expect(parse().help).toBe(false);
+  });
+
+  test('falls back to CONSENT_MODE from the environment', () => {
+    expect(parseArgs(['--input', input], { CONSENT_MODE: 'consent' }).consentMode).toBe('consent');
+    expect(parseArgs(['--input', input, '--consent', 'gated'], { CONSENT_MODE: 'consent' }).consentMode).toBe('gated');
+  });
+});
@@ -0,0 +1,38 @@
+const { test, expect } = require('@playwright/test');
+const { normalizeUrl, resolveLink } = require('../../utils/crawler');
+
+/**
+ * URLs found by the crawler: audited as written, deduplicated when normalized
+ */
+test.describe('resolveLink', () => {
+  test('keeps the URL as the site links to it, without the fragment', () => {
+    expect(resolveLink('/en/?utm_source=mail&b=2&a=1#top', 'https://example.com/de/'))
+      .toBe('https://example.com/en/?utm_source=mail&b=2&a=1');
+    expect(resolveLink('products/', 'https://www.example.com/en/')).toBe('https://www.example.com/en/products/');
+  });
+
+  test('resolves against the URL after redirects', () => {
+    expect(resolveLink('next.html', 'https://www.example.com/en/start.html')).toBe('https://www.example.com/en/next.html');
+  });
+
+  test('rejects links that are not http(s)', () => {
+    expect(resolveLink('mailto:info@example.com', 'https://example.com/')).toBeNull();
+    expect(resolveLink('javascript:void(0)', 'https://example.com/')).toBeNull();
+    expect(resolveLink('not a url')).toBeNull();
+  });
+});
+
+test.describe('normalizeUrl', () => {
+  test('maps spellings of the same page to one key', () => {
+    const keys = [
+      'https://example.com/en/?b=2&a=1',
+      'https://example.com/en?a=1&b=2#top',
+      'https://example.com/en/?a=1&b=2&utm_campaign=x&gclid=y'
+    ].map(normalizeUrl);
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test('keeps the root path', () => {
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com/');
+  });
+});
@@ -0,0 +1,102 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readUrlsFromCSV } = require('../../utils/csv-reader');
+
+/**
+ * Reading URL lists from CSV files
+ */
+test.describe('readUrlsFromCSV', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csv-reader-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const read = async (lines, options) => {
+    const file = path.join(dir, 'urls.csv');
+    await fs.writeFile(file, lines.join('\n') + '\n');
+    return readUrlsFromCSV(file, options);
+  };
+
+  test('numbers the rows by their line in the file', async () => {
+    const urls = await read([
+      'url,description',
+      'https://example.com/,Home',
+      ',',
+      'https://example.com/about,About'
+    ]);
+    expect(urls.map(({ url, row }) => ({ url, row }))).toEqual([
+      { url: 'https://example.com/', row: 2 },
+      { url: 'https://example.com/about', row: 4 }
+    ]);
+  });
+
+  test('skips invalid rows and names their line', async () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      const urls = await read([
+        'url,skip_disclaimers',
+        'https://example.com/,',
+        'ftp://example.com/,',
+        'https://example.com/de/,maybe'
+      ]);
+      expect(urls.map(({ row }) => row)).toEqual([2]);
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings).toEqual([
+      expect.stringContaining('row 3: URL "ftp://example.com/" must use http or https (skipped)'),
+      expect.stringContaining('row 4: skip_disclaimers must be true or false, got "maybe" (skipped)')
+    ]);
+  });
+
+  test('skips duplicates, also when written differently', async () => {
+    const urls = await read([
+      'url',
+      'https://example.com/page',
+      'https://EXAMPLE.com:443/page',
+      'https://example.com/other'
+    ]);
+    expect(urls.map(({ row }) => row)).toEqual([2, 4]);
+    await expect(read(['url', 'https://example.com/', 'https://example.com/'], { strict: true }))
+      .rejects.toThrow('row 3: duplicate of row 2 (https://example.com/)');
+  });
+
+  test('fails the whole read in strict mode and lists every problem', async () => {
+    const lines = ['url,colour', 'not a url,red', 'https://example.com/,blue'];
+    const error = await read(lines, { strict: true }).catch(e => e);
+    expect(error.message).toContain('is invalid (strict mode)');
+    expect(error.message).toContain('unknown columns colour');
+    expect(error.message).toContain('row 2: invalid URL "not a url"');
+    expect((await read(lines)).map(({ row }) => row)).toEqual([3]);
+  });
+
+  test('fails without a url column, also when not strict', async () => {
+    await expect(read(['link', 'https://example.com/'])).rejects.toThrow('has no "url" column');
+  });
+
+  test('splits each header at its first colon', async () => {
+    const [record] = await read(['url,headers', 'https://example.com/,"X-Region: de; Referer: https://example.com/"']);
+    expect(record.headers).toEqual({ 'X-Region': 'de', Referer: 'https://example.com/' });
+  });
+
+  test('takes header values with a semicolon in the JSON form only', async () => {
+    const [record] = await read(['url,headers', 'https://example.com/,"{""Cookie"": ""a=1; b=2""}"']);
+    expect(record.headers).toEqual({ Cookie: 'a=1; b=2' });
+    await expect(read(['url,headers', 'https://example.com/,"Cookie: a=1; b=2"'], { strict: true }))
+      .rejects.toThrow('header "b=2" must look like "Name: value" (use the JSON form for values containing ";")');
+  });
+
+  test('rejects invalid header names', async () => {
+    await expect(read(['url,headers', 'https://example.com/,"{""X Region"": ""de""}"'], { strict: true }))
+      .rejects.toThrow('invalid header names: "X Region"');
+  });
+});
@@ -0,0 +1,31 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const { loadDeviceProfiles, getLighthouseSettings, DEFAULT_DEVICES } = require('../../utils/device-profiles');
+
+/**
+ * Built-in and configured device profiles
+ */
+test.describe('Device profiles', () => {
+  test('audits desktop and mobile by default', () => {
+    expect(DEFAULT_DEVICES).toEqual(['desktop', 'mobile']);
+  });
+
+  test('keeps the throttling audits had before profiles existed for desktop and mobile', () => {
+    const profiles = loadDeviceProfiles();
+    for (const name of ['desktop', 'mobile']) {
+      expect(getLighthouseSettings(profiles[name]).throttling, name).toMatchObject({ rttMs: 40, throughputKbps: 10240, cpuSlowdownMultiplier: 1 });
+    }
+  });
+
+  test('has the Lighthouse presets under their own names', () => {
+    const profiles = loadDeviceProfiles();
+    expect(getLighthouseSettings(profiles['lighthouse-mobile']).throttling).toMatchObject({ rttMs: 150, throughputKbps: 1638.4, cpuSlowdownMultiplier: 4 });
+    expect(getLighthouseSettings(profiles['lighthouse-desktop']).throttling).toMatchObject({ rttMs: 40, throughputKbps: 10240, cpuSlowdownMultiplier: 1 });
+  });
+
+  test('loads the example profiles', () => {
+    const profiles = loadDeviceProfiles(path.join(__dirname, '..', '..', 'data', 'devices.json'));
+    expect(profiles.tablet).toMatchObject({ formFactor: 'mobile', cpuSlowdown: 2, network: { name: 'slow-4g' } });
+    expect(profiles['desktop-cable']).toMatchObject({ throttlingMethod: 'devtools', network: { rttMs: 28 } });
+  });
+});
@@ -0,0 +1,29 @@
+const { test, expect } = require('@playwright/test');
+const { createBudget } = require('../../utils/disclaimer-handler');
+
+/**
+ * The time budget shared by every wait of one disclaimer pass
+ */
+test.describe('createBudget', () => {
+  test('cuts each wait to what is left of the budget', () => {
+    const budget = createBudget(10000);
+    expect(budget.ms).toBe(10000);
+    expect(budget.cap(3000)).toBe(3000);
+    expect(budget.cap(20000)).toBeLessThanOrEqual(10000);
+    expect(budget.cap(20000)).toBeGreaterThan(9000);
+  });
+
+  test('never returns 0, which would disable Playwright timeouts', () => {
+    const budget = createBudget(0);
+    expect(budget.remaining()).toBe(0);
+    expect(budget.cap(5000)).toBe(1);
+  });
+
+  test('runs out as time passes', async () => {
+    const budget = createBudget(50);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(budget.elapsed()).toBeGreaterThanOrEqual(50);
+    expect(budget.remaining()).toBe(0);
+    expect(budget.cap(3000)).toBe(1);
+  });
+});
@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadDisclaimerRules, findRules } = require('../../utils/disclaimer-rules');
+
+/**
+ * Loading per-site disclaimer rules and matching them to URLs
+ */
+test.describe('loadDisclaimerRules', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'disclaimer-rules-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const load = async (rules) => {
+    const file = path.join(dir, 'rules.json');
+    await fs.writeJson(file, { rules });
+    return loadDisclaimerRules(file);
+  };
+  const withSteps = steps => load([{ domain: 'example.com', steps }]);
+
+  test('accepts waits of 0 or more milliseconds', async () => {
+    const [rule] = await withSteps([{ action: 'wait', ms: 0 }, { action: 'wait', ms: 250 }]);
+    expect(rule.steps.map(step => step.ms)).toEqual([0, 250]);
+  });
+
+  test('rejects waits without a finite, non-negative number', async () => {
+    await expect(withSteps([{ action: 'wait' }])).rejects.toThrow('steps[0] (wait) needs ms');
+    for (const ms of ['500', -1, null, true]) {
+      await expect(withSteps([{ action: 'wait', ms }])).rejects.toThrow('steps[0] (wait) ms must be a number of milliseconds of 0 or more');
+    }
+  });
+
+  test('rejects an optional flag that is not true or false', async () => {
+    expect((await withSteps([{ action: 'click', text: 'OK', optional: true }]))[0].steps[0].optional).toBe(true);
+    await expect(withSteps([{ action: 'click', text: 'OK', optional: 'yes' }])).rejects.toThrow('steps[0] optional must be true or false');
+  });
+
+  test('rejects unknown actions and steps without a target', async () => {
+    await expect(withSteps([{ action: 'scroll' }])).rejects.toThrow('unknown action "scroll"');
+    await expect(withSteps([{ action: 'click' }])).rejects.toThrow('steps[0] (click) needs selector or text');
+  });
+
+  test('matches rules by domain, subdomains included, or by pattern', async () => {
+    const rules = await load([
+      { name: 'by domain', domain: 'Example.com' },
+      { name: 'by pattern', pattern: '/de/' }
+    ]);
+    expect(findRules(rules, 'https://www.example.com/en/').map(rule => rule.name)).toEqual(['by domain']);
+    expect(findRules(rules, 'https://other.com/de/').map(rule => rule.name)).toEqual(['by pattern']);
+    expect(findRules(rules, 'https://notexample.com/')).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  loadDisclaimerTexts,
+  pickLanguage,
+  getUrlLanguage,
+  getTextSelectors,
+  DISCLAIMER_TEXTS
+} = require('../../utils/disclaimer-texts');
+
+/**
+ * Picking the language of a page and matching its disclaimer button texts
+ */
+test.describe('pickLanguage', () => {
+  test('takes the primary subtag of the lang attribute', () => {
+    expect(pickLanguage('de-CH', 'https://example.com/')).toBe('de');
+    expect(pickLanguage('FR', 'https://example.com/')).toBe('fr');
+    expect(pickLanguage('pt_BR', 'https://example.com/')).toBe('pt');
+  });
+
+  test('prefers the lang attribute over the URL', () => {
+    expect(pickLanguage('it', 'https://example.com/de/')).toBe('it');
+  });
+
+  test('falls back to the URL when the attribute is missing or unknown', () => {
+    expect(pickLanguage(null, 'https://example.com/de/produkte')).toBe('de');
+    expect(pickLanguage('sv', 'https://example.com/fr-fr/')).toBe('fr');
+    expect(pickLanguage('', 'https://example.com/es.html')).toBe('es');
+  });
+
+  test('falls back to English', () => {
+    expect(pickLanguage(null, 'https://example.com/products/')).toBe('en');
+    expect(pickLanguage('sv', 'not a url')).toBe('en');
+  });
+
+  test('knows the languages of the dictionary it is given', () => {
+    const texts = { ...DISCLAIMER_TEXTS, sv: { consent: [], cookie: ['Acceptera alla'] } };
+    expect(pickLanguage('sv-SE', 'https://example.com/', texts)).toBe('sv');
+  });
+});
+
+test.describe('DISCLAIMER_TEXTS', () => {
+  test('has no consent texts that only say yes', () => {
+    const answers = ['yes', 'ja', 'oui', 'sí', 'si', 'sì', 'sim', 'はい'];
+    for (const [language, { consent }] of Object.entries(DISCLAIMER_TEXTS)) {
+      expect(consent.filter(text => answers.includes(text.toLowerCase())), language).toEqual([]);
+    }
+  });
+});
+
+test.describe('getUrlLanguage', () => {
+  test('reads the lang, locale and hl query parameters first', () => {
+    expect(getUrlLanguage('https://example.com/de/?lang=it', DISCLAIMER_TEXTS)).toBe('it');
+    expect(getUrlLanguage('https://example.com/?locale=nl_NL', DISCLAIMER_TEXTS)).toBe('nl');
+    expect(getUrlLanguage('https://example.com/?hl=ja', DISCLAIMER_TEXTS)).toBe('ja');
+  });
+
+  test('reads locale path segments', () => {
+    expect(getUrlLanguage('https://example.com/fr-fr/produits/', DISCLAIMER_TEXTS)).toBe('fr');
+    expect(getUrlLanguage('https://example.com/content/pt.html', DISCLAIMER_TEXTS)).toBe('pt');
+  });
+
+  test('reads the language from either part of a two-part locale', () => {
+    expect(getUrlLanguage('https://example.com/cl-es/productos/', DISCLAIMER_TEXTS)).toBe('es');
+    expect(getUrlLanguage('https://example.com/latam-es/', DISCLAIMER_TEXTS)).toBe('es');
+    expect(getUrlLanguage('https://example.com/ch-de.html', DISCLAIMER_TEXTS)).toBe('de');
+    expect(getUrlLanguage('https://example.com/es-mx/', DISCLAIMER_TEXTS)).toBe('es');
+    expect(getUrlLanguage('https://example.com/?locale=be_fr', DISCLAIMER_TEXTS)).toBe('fr');
+  });
+
+  test('ignores segments that are not a known language', () => {
+    expect(getUrlLanguage('https://example.com/about/team', DISCLAIMER_TEXTS)).toBeNull();
+    expect(getUrlLanguage('https://example.com/sv/', DISCLAIMER_TEXTS)).toBeNull();
+    expect(getUrlLanguage('https://example.com/about-us/', DISCLAIMER_TEXTS)).toBeNull();
+    expect(getUrlLanguage('https://example.com/our-new-products/', DISCLAIMER_TEXTS)).toBeNull();
+  });
+});
+
+test.describe('getTextSelectors', () => {
+  test('matches the whole text, ignoring case and whitespace', () => {
+    expect(getTextSelectors(['Alle akzeptieren'])).toEqual(['text=/^\\s*Alle\\s+akzeptieren\\s*$/i']);
+  });
+
+  test('escapes regular expression characters', () => {
+    expect(getTextSelectors(['OK (1/2)?'])).toEqual(['text=/^\\s*OK\\s+\\(1\\/2\\)\\?\\s*$/i']);
+  });
+
+  test('treats straight and typographic apostrophes alike', () => {
+    const [selector] = getTextSelectors(['J\'accepte']);
+    const pattern = new RegExp(selector.slice('text=/'.length, -'/i'.length), 'i');
+    expect(pattern.test('J\'accepte')).toBe(true);
+    expect(pattern.test('j’accepte')).toBe(true);
+    expect(pattern.test('J\'accepte tout')).toBe(false);
+  });
+
+  test('returns no selectors without texts', () => {
+    expect(getTextSelectors(undefined)).toEqual([]);
+  });
+});
+
+test.describe('loadDisclaimerTexts', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'disclaimer-texts-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const load = async (config) => {
+    const file = path.join(dir, 'texts.json');
+    await fs.writeJson(file, config);
+    return loadDisclaimerTexts(file);
+  };
+
+  test('puts the texts of the file in front of the built-in ones', async () => {
+    const texts = await load({ languages: { de: { cookie: ['Cookies erlauben'] }, sv: { consent: ['Jag är vårdpersonal'] } } });
+    expect(texts.de.cookie[0]).toBe('Cookies erlauben');
+    expect(texts.de.cookie).toContain('Alle akzeptieren');
+    expect(texts.de.consent).toEqual(DISCLAIMER_TEXTS.de.consent);
+    expect(texts.sv).toEqual({ consent: ['Jag är vårdpersonal'], cookie: [] });
+  });
+
+  test('rejects region subtags and unknown keys', async () => {
+    await expect(load({ languages: { 'de-CH': { cookie: ['OK'] } } })).rejects.toThrow('must be a language code');
+    await expect(load({ languages: { de: { banner: ['OK'] } } })).rejects.toThrow('unknown key "banner"');
+    await expect(load({ languages: { de: { cookie: 'OK' } } })).rejects.toThrow('must be a list of button texts');
+    await expect(load({})).rejects.toThrow('needs a "languages" object');
+  });
+});
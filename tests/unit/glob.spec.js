@@ -0,0 +1,117 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { hasGlob, expandGlob } = require('../../utils/glob');
+const { parseArgs } = require('../../utils/cli');
+const { readUrlsFromCSV } = require('../../utils/csv-reader');
+const { dedupeUrls, pickShard } = require('../../lighthouse-audit');
+
+/**
+ * Expanding --input globs, and merging and sharding the URLs of several CSVs
+ */
+test.describe('expandGlob', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'glob-'));
+    for (const file of [
+      'urls.csv',
+      'urls-de.csv',
+      'urls-fr.csv',
+      'urls.txt',
+      'urlsXcsv',
+      'a+b (1).csv',
+      'nested/urls-it.csv',
+      'nested/deep/urls-es.csv',
+      'node_modules/urls-x.csv',
+      '.cache/urls-y.csv'
+    ]) {
+      await fs.outputFile(path.join(dir, file), 'url\n');
+    }
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const expand = pattern => expandGlob(path.join(dir, pattern)).map(file => path.relative(dir, file).split(path.sep).join('/'));
+
+  test('matches "*" within one path segment', () => {
+    expect(expand('urls-*.csv')).toEqual(['urls-de.csv', 'urls-fr.csv']);
+    expect(expand('*.csv')).toEqual(['a+b (1).csv', 'urls-de.csv', 'urls-fr.csv', 'urls.csv']);
+    expect(expand('*/urls-*.csv')).toEqual(['nested/urls-it.csv']);
+  });
+
+  test('matches "?" as exactly one character', () => {
+    expect(expand('urls-??.csv')).toEqual(['urls-de.csv', 'urls-fr.csv']);
+    expect(expand('urls-?.csv')).toEqual([]);
+  });
+
+  test('matches "**" as any number of directories, skipping node_modules and hidden ones', () => {
+    expect(expand('**/urls-*.csv')).toEqual(['nested/deep/urls-es.csv', 'nested/urls-it.csv', 'urls-de.csv', 'urls-fr.csv']);
+    expect(expand('nested/**')).toEqual(['nested/deep/urls-es.csv', 'nested/urls-it.csv']);
+  });
+
+  test('takes other characters literally', () => {
+    expect(expand('a+b (?).csv')).toEqual(['a+b (1).csv']);
+    expect(expand('url?.csv')).toEqual(['urls.csv']);
+    expect(expand('urls.*')).toEqual(['urls.csv', 'urls.txt']);
+  });
+
+  test('returns nothing for a missing directory', () => {
+    expect(expand('missing/*.csv')).toEqual([]);
+  });
+
+  test('tells globs from plain paths', () => {
+    expect(hasGlob('data/*.csv')).toBe(true);
+    expect(hasGlob('data/urls-?.csv')).toBe(true);
+    expect(hasGlob('data/urls.csv')).toBe(false);
+  });
+
+  test('fails --input when a glob matches no file', () => {
+    const pattern = path.join(dir, 'missing-*.csv');
+    expect(() => parseArgs(['--input', pattern], {})).toThrow(`No files match --input ${pattern}`);
+  });
+
+  test('lists a file matched by several inputs once', () => {
+    const options = parseArgs(['--input', path.join(dir, 'urls-*.csv'), path.join(dir, 'urls-de.csv')], {});
+    expect(options.inputs).toEqual([path.join(dir, 'urls-de.csv'), path.join(dir, 'urls-fr.csv')]);
+  });
+});
+
+test.describe('Merging and sharding several CSVs', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'shard-'));
+    await fs.writeFile(path.join(dir, 'a.csv'), 'url,description\nhttps://example.com/1,A1\nhttps://example.com/2,A2\nhttps://example.com/3,A3\n');
+    await fs.writeFile(path.join(dir, 'b.csv'), 'url,description\nhttps://EXAMPLE.com/2,B2\nhttps://example.com/4,B4\nhttps://example.com/5,B5\n');
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const readAll = async () => {
+    const { inputs } = parseArgs(['--input', path.join(dir, '*.csv')], {});
+    const urls = [];
+    for (const input of inputs) {
+      urls.push(...await readUrlsFromCSV(input));
+    }
+    return urls;
+  };
+
+  test('keeps the first of a URL listed in several CSVs', async () => {
+    const { unique, duplicates } = dedupeUrls(await readAll());
+    expect(duplicates).toBe(1);
+    expect(unique.map(({ description }) => description)).toEqual(['A1', 'A2', 'A3', 'B4', 'B5']);
+  });
+
+  test('splits the merged URLs into disjoint shards that cover all of them', async () => {
+    const { unique } = dedupeUrls(await readAll());
+    const shards = [1, 2, 3].map(index => pickShard(unique, { index, total: 3 }).map(({ description }) => description));
+    expect(shards).toEqual([['A1', 'B4'], ['A2', 'B5'], ['A3']]);
+    expect(pickShard(unique, { index: 1, total: 1 })).toEqual(unique);
+  });
+});
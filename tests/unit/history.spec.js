@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { rebuildHistory, readHistory, writeRunMarker } = require('../../utils/history');
+
+/**
+ * Rebuilding the history from the report folders
+ */
+test.describe('rebuildHistory', () => {
+  let outputDir;
+
+  test.beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  /**
+   * Write a minimal Lighthouse report folder
+   * @returns {Promise<string>} Path of the HTML report, as audit results record it
+   */
+  const writeReport = async (timestamp, performance, requestedUrl = 'https://example.com/') => {
+    const runDir = path.join(outputDir, 'mobile', 'https___example_com_', timestamp);
+    await fs.ensureDir(runDir);
+    await fs.writeJson(path.join(runDir, 'lighthouse-report.json'), {
+      fetchTime: new Date(Date.UTC(2026, 0, 1, 0, 0, Number(timestamp))).toISOString(),
+      requestedUrl,
+      categories: { performance: { score: performance / 100 } },
+      audits: {}
+    });
+    return path.join(runDir, 'lighthouse-report.html');
+  };
+
+  test('takes only the median of several runs', async () => {
+    const reports = [await writeReport('1', 50), await writeReport('2', 70), await writeReport('3', 90)];
+    await Promise.all(reports.map((report, index) => writeRunMarker(report, { url: 'https://example.com/', median: index === 1, medianBy: 'performance' })));
+
+    expect(await rebuildHistory(outputDir)).toBe(1);
+    const [entry] = await readHistory(outputDir);
+    expect(entry).toMatchObject({ url: 'https://example.com/', device: 'mobile', view: 'gated', scores: { performance: 70 }, report: reports[1] });
+  });
+
+  test('takes every report without a marker', async () => {
+    await writeReport('1', 50);
+    await writeReport('2', 70);
+
+    expect(await rebuildHistory(outputDir)).toBe(2);
+    expect((await readHistory(outputDir)).map(entry => entry.scores.performance)).toEqual([50, 70]);
+  });
+
+  test('keys the entries by the audited URL of the marker, else the requested one', async () => {
+    const report = await writeReport('1', 50, 'https://www.example.com/en/');
+    await writeRunMarker(report, { url: 'https://example.com/', median: true, medianBy: null });
+    await writeReport('2', 70, 'https://www.example.com/en/');
+
+    await rebuildHistory(outputDir);
+    expect((await readHistory(outputDir)).map(entry => entry.url)).toEqual(['https://example.com/', 'https://www.example.com/en/']);
+  });
+});
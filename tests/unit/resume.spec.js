@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { main, resumeResult } = require('../../lighthouse-audit');
+const { getCheckpointPath } = require('../../utils/checkpoint');
+
+/**
+ * Resuming from a checkpoint with budgets: audits read back from the
+ * checkpoint are checked against the budgets of the current run
+ */
+test.describe('Resume with budgets', () => {
+  const budgets = {
+    defaults: { scores: { performance: 50 }, metrics: { lcp: 4000 } },
+    overrides: []
+  };
+  const stored = {
+    url: 'https://example.com/',
+    description: 'Example',
+    device: 'mobile',
+    view: 'gated',
+    scores: { performance: 40 },
+    metrics: { lcp: 5000 }
+  };
+
+  test('checks resumed audits against the current budgets', () => {
+    const resumed = resumeResult(stored, true, budgets);
+    expect(resumed.violations.map(v => v.name)).toEqual(['performance', 'lcp']);
+  });
+
+  test('drops violations of the interrupted run when budgets are off', () => {
+    const resumed = resumeResult({ ...stored, violations: [{ name: 'performance' }] }, false, null);
+    expect(resumed.violations).toBeUndefined();
+  });
+
+  test('leaves failed audits alone', () => {
+    const resumed = resumeResult({ ...stored, scores: undefined, error: 'Timeout' }, true, budgets);
+    expect(resumed.violations).toBeUndefined();
+  });
+
+  test('finishes a resumed run with budgets turned on', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lighthouse-resume-'));
+    const outputDir = path.join(dir, 'out');
+    const input = path.join(dir, 'urls.csv');
+    const budgetsFile = path.join(dir, 'budgets.json');
+    await fs.writeFile(input, 'url,description\nhttps://example.com/,Example\n');
+    await fs.writeJson(budgetsFile, budgets);
+    // Checkpoint of a run without budgets: the audit has no violations
+    await fs.ensureDir(outputDir);
+    await fs.writeFile(getCheckpointPath(outputDir), JSON.stringify(stored) + '\n');
+
+    try {
+      await main(['--input', input, '--output', outputDir, '--devices', 'mobile', '--resume', '--budgets', budgetsFile, '--no-history']);
+      expect(process.exitCode).toBe(1);
+      const [result] = await fs.readJson(path.join(outputDir, 'audit-summary.json'));
+      expect(result.violations.map(v => v.name)).toEqual(['performance', 'lcp']);
+    } finally {
+      process.exitCode = 0;
+      await fs.remove(dir);
+    }
+  });
+});
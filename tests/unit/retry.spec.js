@@ -0,0 +1,144 @@
+const { test, expect } = require('@playwright/test');
+const {
+  classifyError,
+  withRetries,
+  getBackoffDelay,
+  getFailureBreakdown,
+  LighthouseRuntimeError
+} = require('../../utils/retry');
+
+/**
+ * Failure classification and retries of audits
+ */
+test.describe('classifyError', () => {
+  test('reads the HTTP status from the message', () => {
+    expect(classifyError(new Error('Failed to load page: status code: 503'))).toEqual({ category: 'http-5xx', code: null, statusCode: 503 });
+    expect(classifyError(new Error('Status code 404 for https://example.com/'))).toEqual({ category: 'http-4xx', code: null, statusCode: 404 });
+  });
+
+  test('matches network, timeout and crash messages', () => {
+    expect(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.invalid/')).category).toBe('dns');
+    expect(classifyError(new Error('page.goto: Timeout 30000ms exceeded.')).category).toBe('timeout');
+    expect(classifyError(new Error('Target page, context or browser has been closed')).category).toBe('chrome-crash');
+    expect(classifyError(new Error('net::ERR_CONNECTION_RESET')).category).toBe('network');
+  });
+
+  test('uses the error code as well as the message', () => {
+    const error = Object.assign(new Error('Lighthouse could not load the page'), { code: 'PAGE_HUNG' });
+    expect(classifyError(error)).toEqual({ category: 'timeout', code: 'PAGE_HUNG', statusCode: null });
+  });
+
+  test('puts Lighthouse runtime errors without a known pattern in their own category', () => {
+    const error = new LighthouseRuntimeError({ code: 'NO_FCP', message: 'The page did not paint any content' });
+    expect(classifyError(error)).toEqual({ category: 'runtime-error', code: 'NO_FCP', statusCode: null });
+  });
+
+  test('falls back to unknown', () => {
+    expect(classifyError(new Error('Something else')).category).toBe('unknown');
+    expect(classifyError('not an error').category).toBe('unknown');
+  });
+});
+
+test.describe('withRetries', () => {
+  const timeout = () => new Error('Timeout 30000ms exceeded');
+
+  test('doubles the wait with every retry, up to a minute', () => {
+    expect([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, 1000))).toEqual([1000, 2000, 4000, 8000]);
+    expect(getBackoffDelay(10, 1000)).toBe(60000);
+    expect(getBackoffDelay(3, 0)).toBe(0);
+  });
+
+  test('returns the value with the number of attempts', async () => {
+    let calls = 0;
+    const result = await withRetries(async () => {
+      calls++;
+      if (calls < 3) {
+        throw timeout();
+      }
+      return 'done';
+    }, { retries: 2 });
+    expect(result).toEqual({ value: 'done', attempts: 3 });
+  });
+
+  test('waits the backoff before each retry', async () => {
+    const calledAt = [];
+    await expect(withRetries(async () => {
+      calledAt.push(Date.now());
+      throw timeout();
+    }, { retries: 2, backoffMs: 50 })).rejects.toThrow('Timeout');
+
+    expect(calledAt).toHaveLength(3);
+    expect(calledAt[1] - calledAt[0]).toBeGreaterThanOrEqual(45);
+    expect(calledAt[2] - calledAt[1]).toBeGreaterThanOrEqual(95);
+  });
+
+  test('rethrows the last error with the classification and attempts', async () => {
+    const error = await withRetries(async () => {
+      throw timeout();
+    }, { retries: 1 }).catch(thrown => thrown);
+    expect(error.attempts).toBe(2);
+    expect(error.failure).toEqual({ category: 'timeout', code: null, statusCode: null });
+  });
+
+  test('does not retry categories outside the policy', async () => {
+    let calls = 0;
+    const error = await withRetries(async () => {
+      calls++;
+      throw new Error('net::ERR_NAME_NOT_RESOLVED');
+    }, { retries: 3 }).catch(thrown => thrown);
+    expect(calls).toBe(1);
+    expect(error.attempts).toBe(1);
+    expect(error.failure.category).toBe('dns');
+  });
+
+  test('retries only the categories of retryOn', async () => {
+    let calls = 0;
+    await withRetries(async () => {
+      calls++;
+      throw timeout();
+    }, { retries: 3, retryOn: ['http-5xx'] }).catch(() => {});
+    expect(calls).toBe(1);
+  });
+
+  test('does not retry without retries', async () => {
+    let calls = 0;
+    await withRetries(async () => {
+      calls++;
+      throw timeout();
+    }).catch(() => {});
+    expect(calls).toBe(1);
+  });
+});
+
+test.describe('getFailureBreakdown', () => {
+  test('counts failed audits per category, most frequent first', () => {
+    const results = [
+      { url: 'a', error: 'Timeout', failure: { category: 'timeout' } },
+      { url: 'b', error: 'DNS', failure: { category: 'dns' } },
+      { url: 'c', error: 'Timeout', failure: { category: 'timeout' } },
+      { url: 'd', scores: { performance: 90 } }
+    ];
+    const breakdown = getFailureBreakdown(results);
+    expect(breakdown.map(({ category, label, count }) => ({ category, label, count }))).toEqual([
+      { category: 'timeout', label: 'Timeout', count: 2 },
+      { category: 'dns', label: 'DNS failure', count: 1 }
+    ]);
+    expect(breakdown[0].results.map(r => r.url)).toEqual(['a', 'c']);
+  });
+
+  test('counts failures without a known category as Other', () => {
+    const results = [
+      { url: 'a', error: 'Old checkpoint' },
+      { url: 'b', error: 'Renamed', failure: { category: 'gone' } }
+    ];
+    const breakdown = getFailureBreakdown(results);
+    expect(breakdown.map(({ label, count }) => ({ label, count }))).toEqual([
+      { label: 'Other', count: 1 },
+      { label: 'Other', count: 1 }
+    ]);
+  });
+
+  test('is empty without failures', () => {
+    expect(getFailureBreakdown([{ url: 'a', scores: {} }])).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+const { test, expect } = require('@playwright/test');
+const { pickMedianRun, computeSpread } = require('../../utils/run-aggregator');
+
+/**
+ * Picking the median of several runs of one audit
+ */
+test.describe('pickMedianRun', () => {
+  const run = (id, performance, lcp) => ({ id, scores: { performance }, metrics: { lcp } });
+
+  test('picks the middle run of an odd number of runs', () => {
+    const runs = [run('a', 90, 1000), run('b', 50, 3000), run('c', 70, 2000)];
+    expect(pickMedianRun(runs, 'performance').id).toBe('c');
+  });
+
+  test('picks the lower middle run of an even number of runs', () => {
+    const runs = [run('a', 90), run('b', 50), run('c', 70), run('d', 80)];
+    expect(pickMedianRun(runs, 'performance').id).toBe('c');
+    expect(pickMedianRun(runs.slice(0, 2), 'performance').id).toBe('b');
+  });
+
+  test('ranks by a metric', () => {
+    const runs = [run('a', 90, 1000), run('b', 50, 3000), run('c', 70, 2500)];
+    expect(pickMedianRun(runs, 'lcp').id).toBe('c');
+  });
+
+  test('ignores runs without a value', () => {
+    const runs = [run('a', null), run('b', 60), run('c', 40), run('d', undefined)];
+    expect(pickMedianRun(runs, 'performance').id).toBe('c');
+  });
+
+  test('falls back to the first run when no run has a value', () => {
+    const runs = [run('a', null), run('b', null)];
+    expect(pickMedianRun(runs, 'performance').id).toBe('a');
+  });
+});
+
+test.describe('computeSpread', () => {
+  test('skips missing values', () => {
+    const spread = computeSpread([
+      { scores: { performance: 40 }, metrics: {} },
+      { scores: { performance: null }, metrics: {} },
+      { scores: { performance: 60 }, metrics: {} }
+    ]);
+    expect(spread.scores.performance).toMatchObject({ min: 40, max: 60, mean: 50, values: [40, 60] });
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CATEGORIES } = require('./lighthouse-runner');
+const { METRICS } = require('./metrics');
+
+/**
+ * Baseline comparison
+ *
+ * A baseline is a saved run stored as `<outputDir>/baselines/<name>.json`.
+ * Later runs are matched against it by URL, device and view, and every
+ * category score and metric gets a delta. Scores regress when they drop by
+ * more than `scoreTolerance` points; metrics (lower is better) regress when
+ * they grow by more than `metricTolerance` percent.
+ */
+
+const DEFAULT_SCORE_TOLERANCE = 5;
+const DEFAULT_METRIC_TOLERANCE = 10;
+
+/**
+ * Get the directory holding the named baselines
+ * @param {string} outputDir - Report output directory
+ * @returns {string}
+ */
+function getBaselineDir(outputDir) {
+  return path.join(outputDir, 'baselines');
+}
+
+/**
+ * Save the successful audits of a run as a named baseline
+ * @param {Array} results - Audit results
+ * @param {string} name - Baseline name
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<string>} Path of the saved baseline
+ */
+async function saveBaseline(results, name, outputDir) {
+  const baselinePath = path.join(getBaselineDir(outputDir), `${name}.json`);
+  await fs.ensureDir(path.dirname(baselinePath));
+  await fs.writeJson(baselinePath, {
+    name,
+    createdAt: new Date().toISOString(),
+    results: results.filter(r => !r.error).map(({ url, description, device, view, scores, metrics }) =>
+      ({ url, description, device, view, scores, metrics }))
+  }, { spaces: 2 });
+  return baselinePath;
+}
+
+/**
+ * Load a baseline by name or path. A plain audit-summary.json from an earlier
+ * run is accepted as well.
+ * @param {string} nameOrPath - Baseline name or path to a JSON file
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<{name: string, createdAt: string|null, results: Array}>}
+ */
+async function loadBaseline(nameOrPath, outputDir) {
+  const namedPath = path.join(getBaselineDir(outputDir), `${nameOrPath}.json`);
+  const baselinePath = await fs.pathExists(namedPath) ? namedPath : path.resolve(nameOrPath);
+
+  if (!await fs.pathExists(baselinePath)) {
+    throw new Error(`Baseline "${nameOrPath}" not found (looked for ${namedPath} and ${baselinePath})`);
+  }
+
+  const data = await fs.readJson(baselinePath);
+  if (Array.isArray(data)) {
+    return {
+      name: path.basename(baselinePath, '.json'),
+      createdAt: null,
+      results: data.filter(r => !r.error)
+    };
+  }
+  if (!Array.isArray(data.results)) {
+    throw new Error(`Baseline file ${baselinePath} has no "results" array`);
+  }
+  return data;
+}
+
+/**
+ * Key identifying the same audit across runs
+ * @param {Object} result - Audit result
+ * @returns {string}
+ */
+function getAuditKey(result) {
+  return [result.url, result.device, result.view || 'gated'].join('|');
+}
+
+/**
+ * Compare one audit result with its baseline entry
+ * @param {Object} result - Successful audit result
+ * @param {Object} baselineResult - Matching baseline result
+ * @param {Object} tolerances - { scoreTolerance, metricTolerance }
+ * @returns {{scores: Object, metrics: Object, regressions: string[]}}
+ */
+function compareResult(result, baselineResult, { scoreTolerance, metricTolerance }) {
+  const comparison = { scores: {}, metrics: {}, regressions: [] };
+
+  for (const { key, label } of Object.values(CATEGORIES)) {
+    const current = result.scores[key];
+    const previous = baselineResult.scores && baselineResult.scores[key];
+    if (typeof current !== 'number' || typeof previous !== 'number') {
+      continue;
+    }
+
+    const delta = current - previous;
+    const regression = delta < -scoreTolerance;
+    comparison.scores[key] = { baseline: previous, current, delta, regression };
+    if (regression) {
+      comparison.regressions.push(`${label} dropped from ${previous} to ${current}`);
+    }
+  }
+
+  for (const [name, { label }] of Object.entries(METRICS)) {
+    const current = result.metrics && result.metrics[name];
+    const previous = baselineResult.metrics && baselineResult.metrics[name];
+    if (typeof current !== 'number' || typeof previous !== 'number') {
+      continue;
+    }
+
+    const delta = current - previous;
+    const deltaPercent = previous === 0 ? (current === 0 ? 0 : 100) : (delta / previous) * 100;
+    const regression = deltaPercent > metricTolerance;
+    comparison.metrics[name] = { baseline: previous, current, delta, deltaPercent, regression };
+    if (regression) {
+      comparison.regressions.push(`${label} grew by ${Math.round(deltaPercent)}%`);
+    }
+  }
+
+  return comparison;
+}
+
+/**
+ * Attach a `comparison` to every successful result that has a baseline entry
+ * @param {Array} results - Audit results (modified in place)
+ * @param {{name: string, results: Array}} baseline - Loaded baseline
+ * @param {Object} [tolerances] - { scoreTolerance, metricTolerance }
+ * @returns {{baseline: string, compared: number, regressed: number, missing: Array}}
+ */
+function applyBaseline(results, baseline, tolerances = {}) {
+  const options = {
+    scoreTolerance: tolerances.scoreTolerance ?? DEFAULT_SCORE_TOLERANCE,
+    metricTolerance: tolerances.metricTolerance ?? DEFAULT_METRIC_TOLERANCE
+  };
+  const baselineByKey = new Map(baseline.results.map(r => [getAuditKey(r), r]));
+  const summary = { baseline: baseline.name, compared: 0, regressed: 0, missing: [] };
+
+  for (const result of results) {
+    if (result.error) {
+      continue;
+    }
+
+    const baselineResult = baselineByKey.get(getAuditKey(result));
+    if (!baselineResult) {
+      summary.missing.push(getAuditKey(result));
+      continue;
+    }
+
+    result.comparison = { baseline: baseline.name, ...compareResult(result, baselineResult, options) };
+    summary.compared++;
+    if (result.comparison.regressions.length > 0) {
+      summary.regressed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  saveBaseline,
+  loadBaseline,
+  applyBaseline,
+  compareResult,
+  getAuditKey,
+  DEFAULT_SCORE_TOLERANCE,
+  DEFAULT_METRIC_TOLERANCE
+};
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const { CATEGORIES } = require('./lighthouse-runner');
+const { METRICS, formatMetric } = require('./metrics');
+
+/**
+ * Performance budgets
+ *
+ * A budgets file is JSON with global defaults and optional overrides:
+ *
+ * {
+ *   "defaults": {
+ *     "scores": { "performance": 80, "accessibility": 90 },
+ *     "metrics": { "lcp": 2500, "cls": 0.1, "tbt": 300, "totalByteWeight": 3000000 }
+ *   },
+ *   "overrides": [
+ *     { "url": "https://example.com/", "scores": { "performance": 90 } },
+ *     { "pattern": "/en/.*\\.html$", "devices": ["mobile"], "metrics": { "lcp": 4000 } }
+ *   ]
+ * }
+ *
+ * Scores are minimums (0-100) keyed by category id; metrics are maximums
+ * keyed by METRICS name. Overrides apply in order on top of the defaults,
+ * so a later match wins for the same key.
+ */
+
+/**
+ * Load and validate a budgets file
+ * @param {string} filePath - Path to the budgets JSON file
+ * @returns {Promise<{defaults: Object, overrides: Array}>}
+ */
+async function loadBudgets(filePath) {
+  let budgets;
+  try {
+    budgets = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Could not read budgets file ${filePath}: ${error.message}`);
+  }
+
+  const defaults = validateBudget(budgets.defaults || {}, `${filePath} defaults`);
+  const overrides = (budgets.overrides || []).map((override, index) => {
+    const where = `${filePath} overrides[${index}]`;
+    if (!override.url && !override.pattern) {
+      throw new Error(`${where} needs a "url" or "pattern"`);
+    }
+
+    let pattern = null;
+    if (override.pattern) {
+      try {
+        pattern = new RegExp(override.pattern);
+      } catch (error) {
+        throw new Error(`${where} has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    return {
+      url: override.url || null,
+      pattern,
+      devices: override.devices || null,
+      ...validateBudget(override, where)
+    };
+  });
+
+  return { defaults, overrides };
+}
+
+/**
+ * Check the score and metric limits of one budget entry
+ * @param {Object} budget - Entry with optional `scores` and `metrics`
+ * @param {string} where - Location used in error messages
+ * @returns {{scores: Object, metrics: Object}}
+ */
+function validateBudget(budget, where) {
+  const scores = budget.scores || {};
+  const metrics = budget.metrics || {};
+
+  for (const [id, limit] of Object.entries(scores)) {
+    if (!CATEGORIES[id]) {
+      throw new Error(`${where} has an unknown category "${id}". Expected: ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+    if (typeof limit !== 'number' || limit < 0 || limit > 100) {
+      throw new Error(`${where} score for "${id}" must be a number between 0 and 100`);
+    }
+  }
+
+  for (const [name, limit] of Object.entries(metrics)) {
+    if (!METRICS[name]) {
+      throw new Error(`${where} has an unknown metric "${name}". Expected: ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (typeof limit !== 'number' || limit < 0) {
+      throw new Error(`${where} limit for "${name}" must be a non-negative number`);
+    }
+  }
+
+  return { scores, metrics };
+}
+
+/**
+ * Resolve the effective budget for a URL and device
+ * @param {{defaults: Object, overrides: Array}} budgets - Loaded budgets
+ * @param {string} url - Audited URL
+ * @param {string} device - Audited device
+ * @returns {{scores: Object, metrics: Object}}
+ */
+function resolveBudget(budgets, url, device) {
+  const budget = {
+    scores: { ...budgets.defaults.scores },
+    metrics: { ...budgets.defaults.metrics }
+  };
+
+  for (const override of budgets.overrides) {
+    const urlMatches = override.url ? override.url === url : override.pattern.test(url);
+    const deviceMatches = !override.devices || override.devices.includes(device);
+    if (urlMatches && deviceMatches) {
+      Object.assign(budget.scores, override.scores);
+      Object.assign(budget.metrics, override.metrics);
+    }
+  }
+
+  return budget;
+}
+
+/**
+ * Compare an audit result with its budget
+ * @param {Object} result - Successful audit result with `scores` and `metrics`
+ * @param {{defaults: Object, overrides: Array}|null} budgets - Loaded budgets, if any
+ * @param {{scores: Object, metrics: Object}} [urlBudget] - Per-URL limits from the input CSV;
+ *   they win over the budgets file
+ * @returns {Array<{type: string, name: string, label: string, actual: number, limit: number, message: string}>}
+ */
+function evaluateBudgets(result, budgets, urlBudget) {
+  const budget = resolveBudget(budgets || { defaults: {}, overrides: [] }, result.url, result.device);
+  if (urlBudget) {
+    Object.assign(budget.scores, urlBudget.scores);
+    Object.assign(budget.metrics, urlBudget.metrics);
+  }
+  const violations = [];
+
+  for (const [id, limit] of Object.entries(budget.scores)) {
+    const { key, label } = CATEGORIES[id];
+    const actual = result.scores[key];
+    if (typeof actual === 'number' && actual < limit) {
+      violations.push({
+        type: 'score',
+        name: id,
+        label,
+        actual,
+        limit,
+        message: `${label} score ${actual} is below the minimum of ${limit}`
+      });
+    }
+  }
+
+  for (const [name, limit] of Object.entries(budget.metrics)) {
+    const actual = result.metrics[name];
+    if (typeof actual === 'number' && actual > limit) {
+      const { label } = METRICS[name];
+      violations.push({
+        type: 'metric',
+        name,
+        label,
+        actual,
+        limit,
+        message: `${label} ${formatMetric(name, actual)} exceeds the maximum of ${formatMetric(name, limit)}`
+      });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  loadBudgets,
+  resolveBudget,
+  validateBudget,
+  evaluateBudgets
+};
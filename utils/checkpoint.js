@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getAuditKey } = require('./baseline');
+
+/**
+ * Run checkpoints
+ *
+ * Every finished audit is appended as one JSON line to
+ * `<outputDir>/audit-checkpoint.jsonl` the moment it completes, so a crash or
+ * Ctrl-C loses at most the audits that were still running. `--resume` reads
+ * the checkpoint back and only runs the audits it does not have yet.
+ */
+
+/**
+ * Get the path of the checkpoint file
+ * @param {string} outputDir - Report output directory
+ * @returns {string}
+ */
+function getCheckpointPath(outputDir) {
+  return path.join(outputDir, 'audit-checkpoint.jsonl');
+}
+
+/**
+ * Start an empty checkpoint for a new run
+ * @param {string} outputDir - Report output directory
+ */
+async function startCheckpoint(outputDir) {
+  await fs.ensureDir(outputDir);
+  await fs.writeFile(getCheckpointPath(outputDir), '');
+}
+
+/**
+ * Record a finished audit
+ * @param {Object} result - Audit result (successful or failed)
+ * @param {string} outputDir - Report output directory
+ */
+async function appendCheckpoint(result, outputDir) {
+  await fs.appendFile(getCheckpointPath(outputDir), JSON.stringify(result) + '\n');
+}
+
+/**
+ * Read the audits recorded in a checkpoint. Later entries for the same
+ * URL, device and view replace earlier ones; a line cut off by a crash is
+ * ignored.
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<Map<string, Object>>} Results keyed by getAuditKey()
+ */
+async function readCheckpoint(outputDir) {
+  const checkpointPath = getCheckpointPath(outputDir);
+  const results = new Map();
+  if (!await fs.pathExists(checkpointPath)) {
+    return results;
+  }
+
+  const lines = (await fs.readFile(checkpointPath, 'utf8')).split('\n').filter(line => line.trim());
+  lines.forEach((line, index) => {
+    try {
+      const result = JSON.parse(line);
+      results.set(getAuditKey(result), result);
+    } catch (error) {
+      console.warn(`Skipping unreadable checkpoint line ${index + 1}`);
+    }
+  });
+  return results;
+}
+
+module.exports = {
+  getCheckpointPath,
+  startCheckpoint,
+  appendCheckpoint,
+  readCheckpoint
+};
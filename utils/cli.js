@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const { getDefaultCSVPath } = require('./csv-reader');
+const { CATEGORIES, AUDIT_VIEWS } = require('./lighthouse-runner');
+const { DEFAULT_SCORE_TOLERANCE, DEFAULT_METRIC_TOLERANCE } = require('./baseline');
+const { getRecommendedConcurrency } = require('./worker-pool');
+const { getMedianKeys } = require('./run-aggregator');
+const { REPORTERS } = require('./reporters');
+const { DEFAULT_MAX_DEPTH, DEFAULT_MAX_PAGES } = require('./crawler');
+const { hasGlob, expandGlob } = require('./glob');
+const { loadDeviceProfiles, DEFAULT_DEVICES } = require('./device-profiles');
+const { FAILURE_CATEGORIES, DEFAULT_RETRY_ON } = require('./retry');
+const { CMP_ACTIONS } = require('./consent-platforms');
+
+/**
+ * Command-line interface for lighthouse-audit.js
+ * Parses and validates the arguments and renders the --help page
+ */
+
+const CONSENT_MODES = [...AUDIT_VIEWS, 'both'];
+
+const DEFAULT_RETRIES = 0;
+const DEFAULT_RETRY_BACKOFF_MS = 5000;
+
+/**
+ * Supported options. `value` is the placeholder shown in --help; options
+ * without one are boolean flags.
+ */
+const OPTIONS = [
+  { name: 'input', alias: 'i', value: '<file>', multiple: true,
+    description: 'CSV file or glob such as "data/*.csv" (repeatable; positional arguments are inputs too)' },
+  { name: 'strict',
+    description: 'Fail when an input CSV has invalid rows or columns instead of skipping them' },
+  { name: 'sitemap', alias: 's', value: '<file|url>', multiple: true,
+    description: 'sitemap.xml or sitemap index to read URLs from (repeatable; nested sitemaps are followed)' },
+  { name: 'crawl', value: '<url>', multiple: true,
+    description: 'Seed URL to crawl for same-origin pages (repeatable)' },
+  { name: 'crawl-depth', value: '<n>',
+    description: `Link depth followed from the crawl seeds (default: ${DEFAULT_MAX_DEPTH})` },
+  { name: 'crawl-export', value: '<file>',
+    description: 'Write the crawled URLs to this CSV file and exit without auditing' },
+  { name: 'include', value: '<regex>', multiple: true,
+    description: 'Only take sitemap/crawled URLs matching this regular expression (repeatable)' },
+  { name: 'exclude', value: '<regex>', multiple: true,
+    description: 'Skip sitemap/crawled URLs matching this regular expression (repeatable)' },
+  { name: 'max-urls', value: '<n>',
+    description: `Maximum number of URLs taken from each sitemap or crawl (crawl default: ${DEFAULT_MAX_PAGES})` },
+  { name: 'output', alias: 'o', value: '<dir>',
+    description: 'Directory for reports and summaries (default: ./reports)' },
+  { name: 'devices', alias: 'd', value: '<list>',
+    description: `Comma-separated device profiles to audit (default: ${DEFAULT_DEVICES.join(',')})` },
+  { name: 'device-config', value: '<file>',
+    description: 'JSON file with extra or replacement device profiles (screen, throttling, network, CPU, user agent)' },
+  { name: 'categories', alias: 'c', value: '<list>',
+    description: `Comma-separated Lighthouse categories: ${Object.keys(CATEGORIES).join(', ')} (default: all)` },
+  { name: 'filter', alias: 'f', value: '<regex>',
+    description: 'Only audit URLs matching this regular expression' },
+  { name: 'tag', alias: 't', value: '<tag>', multiple: true,
+    description: 'Only audit CSV rows with this tag (repeatable; any tag matches)' },
+  { name: 'group', alias: 'g', value: '<group>', multiple: true,
+    description: 'Only audit CSV rows in this group (repeatable; any group matches)' },
+  { name: 'shard', value: '<i/n>',
+    description: 'Audit only shard i of n, e.g. 2/4, to split a run across machines' },
+  { name: 'concurrency', alias: 'j', value: '<n|auto>',
+    description: 'Number of audits to run in parallel; "auto" picks one from the CPU cores and memory (default: 1)' },
+  { name: 'runs', alias: 'r', value: '<n>',
+    description: 'Run every audit n times and keep the median run (default: 1)' },
+  { name: 'median-by', value: '<key>',
+    description: `Category or metric that picks the median run: ${getMedianKeys().join(', ')} (default: performance)` },
+  { name: 'retries', value: '<n>',
+    description: `Retry failed audits up to n times with exponential backoff (default: ${DEFAULT_RETRIES})` },
+  { name: 'retry-backoff', value: '<ms>',
+    description: `Wait before the first retry, doubled for every further retry (default: ${DEFAULT_RETRY_BACKOFF_MS})` },
+  { name: 'retry-on', value: '<list>',
+    description: `Failure categories to retry: ${Object.keys(FAILURE_CATEGORIES).join(', ')} (default: ${DEFAULT_RETRY_ON.join(',')})` },
+  { name: 'reporters', value: '<list>',
+    description: `Extra reports next to the JSON/HTML summary: ${Object.keys(REPORTERS).join(', ')} (default: none)` },
+  { name: 'budgets', alias: 'b', value: '<file>',
+    description: 'Budgets JSON file; exits with code 1 when any budget is missed' },
+  { name: 'baseline', value: '<name|file>',
+    description: 'Compare this run with a saved baseline (or an earlier audit-summary.json)' },
+  { name: 'save-baseline', value: '<name>',
+    description: 'Save this run as a named baseline under <output>/baselines' },
+  { name: 'tolerance', value: '<points>',
+    description: `Score drop that counts as a regression (default: ${DEFAULT_SCORE_TOLERANCE})` },
+  { name: 'metric-tolerance', value: '<percent>',
+    description: `Metric increase that counts as a regression (default: ${DEFAULT_METRIC_TOLERANCE})` },
+  { name: 'resume',
+    description: 'Continue an interrupted run from <output>/audit-checkpoint.jsonl, skipping finished audits' },
+  { name: 'retry-failed',
+    description: 'With --resume, run the audits that failed last time again' },
+  { name: 'no-history',
+    description: 'Do not record this run in <output>/history.jsonl' },
+  { name: 'rebuild-history',
+    description: 'Rebuild <output>/history.jsonl from the existing report folders and exit' },
+  { name: 'setup', value: '<file>',
+    description: 'Setup script (.js with Playwright steps) or storageState (.json) applied before every audit' },
+  { name: 'flow', value: '<file>',
+    description: 'User flow JSON (navigation, timespan and snapshot steps) run for every URL and device' },
+  { name: 'disclaimer-rules', value: '<file>',
+    description: 'Per-site disclaimer rules JSON (default: data/disclaimer-rules.json when present)' },
+  { name: 'disclaimer-texts', value: '<file>',
+    description: 'Extra disclaimer button texts per language (default: data/disclaimer-texts.json when present)' },
+  { name: 'cmp-action', value: '<action>',
+    description: `Answer to recognized consent platforms (OneTrust, Cookiebot, ...): ${CMP_ACTIONS.join(', ')} (default: accept)` },
+  { name: 'consent', value: '<mode>',
+    description: `Audit view: ${CONSENT_MODES.join(', ')} (default: $CONSENT_MODE or gated)` },
+  { name: 'help', alias: 'h',
+    description: 'Show this help and exit' }
+];
+
+/**
+ * Error raised for invalid command-line arguments
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+/**
+ * Parse command-line arguments into audit options. --help wins over
+ * everything else, so it works even next to missing files or bad values.
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {Object} [env] - Environment used for fallbacks (default: process.env)
+ * @returns {Object} Parsed options (see the return statement for the fields),
+ *   or just `{ help: true }` when help was asked for
+ */
+function parseArgs(argv, env = process.env) {
+  // No option takes a value starting with "-", so these are always the flag
+  if (argv.some(arg => arg === '--help' || arg === '-h')) {
+    return { help: true };
+  }
+
+  const raw = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      (raw.input = raw.input || []).push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      [name, value] = splitInlineValue(arg.slice(2));
+    } else {
+      [name, value] = splitInlineValue(arg.slice(1));
+      const option = OPTIONS.find(o => o.alias === name);
+      if (!option) {
+        throw new CliError(`Unknown option: ${arg}`);
+      }
+      name = option.name;
+    }
+
+    const option = OPTIONS.find(o => o.name === name);
+    if (!option) {
+      throw new CliError(`Unknown option: ${arg}`);
+    }
+
+    if (!option.value) {
+      if (value !== undefined) {
+        throw new CliError(`Option --${option.name} does not take a value`);
+      }
+      raw[option.name] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || (value.startsWith('-') && value !== '-')) {
+        throw new CliError(`Option --${option.name} requires a value ${option.value}`);
+      }
+    }
+
+    if (option.multiple) {
+      (raw[option.name] = raw[option.name] || []).push(value);
+    } else if (raw[option.name] !== undefined) {
+      throw new CliError(`Option --${option.name} was given more than once`);
+    } else {
+      raw[option.name] = value;
+    }
+  }
+
+  if (raw['retry-failed'] && !raw.resume) {
+    throw new CliError('Option --retry-failed only works together with --resume');
+  }
+
+  if (raw['crawl-export'] && !raw.crawl) {
+    throw new CliError('Option --crawl-export needs at least one --crawl seed URL');
+  }
+
+  const deviceProfiles = parseDeviceConfig(raw['device-config']);
+
+  return {
+    inputs: parseInputs(raw.input || (raw.sitemap || raw.crawl ? [] : [getDefaultCSVPath()])),
+    strict: Boolean(raw.strict),
+    sitemaps: (raw.sitemap || []).map(parseSitemap),
+    crawl: (raw.crawl || []).map(parseCrawlSeed),
+    crawlDepth: parseCount('crawl-depth', raw['crawl-depth'], DEFAULT_MAX_DEPTH, 0),
+    crawlExport: raw['crawl-export'] ? path.resolve(raw['crawl-export']) : null,
+    include: (raw.include || []).map(value => parsePattern('include', value)),
+    exclude: (raw.exclude || []).map(value => parsePattern('exclude', value)),
+    maxUrls: parseCount('max-urls', raw['max-urls'], Infinity),
+    outputDir: path.resolve(raw.output || path.join(__dirname, '..', 'reports')),
+    deviceProfiles,
+    devices: raw.devices ? parseList('devices', raw.devices, Object.keys(deviceProfiles)) : [...DEFAULT_DEVICES],
+    categories: parseList('categories', raw.categories, Object.keys(CATEGORIES)),
+    filter: raw.filter === undefined ? null : parsePattern('filter', raw.filter),
+    tags: (raw.tag || []).map(tag => tag.trim().toLowerCase()).filter(Boolean),
+    groups: (raw.group || []).map(group => group.trim().toLowerCase()).filter(Boolean),
+    shard: raw.shard ? parseShard(raw.shard) : null,
+    concurrency: parseConcurrency(raw.concurrency),
+    runs: parseCount('runs', raw.runs, 1),
+    medianBy: raw['median-by'] ? parseChoice('median-by', raw['median-by'], getMedianKeys()) : 'performance',
+    retry: {
+      retries: parseCount('retries', raw.retries, DEFAULT_RETRIES, 0),
+      backoffMs: parseNumber('retry-backoff', raw['retry-backoff'], DEFAULT_RETRY_BACKOFF_MS),
+      retryOn: raw['retry-on'] ? parseList('retry-on', raw['retry-on'], Object.keys(FAILURE_CATEGORIES)) : [...DEFAULT_RETRY_ON]
+    },
+    reporters: raw.reporters ? parseList('reporters', raw.reporters, Object.keys(REPORTERS)) : [],
+    budgets: raw.budgets ? parseFile('budgets', raw.budgets) : null,
+    baseline: raw.baseline || null,
+    saveBaseline: raw['save-baseline'] ? parseBaselineName(raw['save-baseline']) : null,
+    scoreTolerance: parseNumber('tolerance', raw.tolerance, DEFAULT_SCORE_TOLERANCE),
+    metricTolerance: parseNumber('metric-tolerance', raw['metric-tolerance'], DEFAULT_METRIC_TOLERANCE),
+    resume: Boolean(raw.resume),
+    retryFailed: Boolean(raw['retry-failed']),
+    history: !raw['no-history'],
+    rebuildHistory: Boolean(raw['rebuild-history']),
+    setup: raw.setup ? parseFile('setup', raw.setup) : null,
+    flow: raw.flow ? parseFile('flow', raw.flow) : null,
+    disclaimerRules: raw['disclaimer-rules'] ? parseFile('disclaimer-rules', raw['disclaimer-rules']) : null,
+    disclaimerTexts: raw['disclaimer-texts'] ? parseFile('disclaimer-texts', raw['disclaimer-texts']) : null,
+    cmpAction: parseChoice('cmp-action', raw['cmp-action'] || 'accept', CMP_ACTIONS),
+    consentMode: parseChoice('consent', raw.consent || env.CONSENT_MODE || 'gated', CONSENT_MODES),
+    help: false
+  };
+}
+
+/**
+ * Split "name=value" into its parts
+ * @param {string} arg - Option without its leading dashes
+ * @returns {[string, string|undefined]}
+ */
+function splitInlineValue(arg) {
+  const index = arg.indexOf('=');
+  return index === -1 ? [arg, undefined] : [arg.slice(0, index), arg.slice(index + 1)];
+}
+
+/**
+ * Resolve the input CSV files and globs and make sure they exist
+ * @param {string[]} inputs - Paths or glob patterns as given on the command line
+ * @returns {string[]} Absolute paths without duplicates, in the order given
+ */
+function parseInputs(inputs) {
+  const files = inputs.flatMap(input => {
+    if (!hasGlob(input)) {
+      return [parseFile('input', input)];
+    }
+    const matches = expandGlob(input);
+    if (matches.length === 0) {
+      throw new CliError(`No files match --input ${input}`);
+    }
+    return matches;
+  });
+  return [...new Set(files)];
+}
+
+/**
+ * Resolve a file argument and make sure it exists
+ * @param {string} name - Option name, used in error messages
+ * @param {string} file - Path as given on the command line
+ * @returns {string}
+ */
+function parseFile(name, file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new CliError(`File for --${name} not found: ${file}`);
+  }
+  return resolved;
+}
+
+/**
+ * Parse a comma-separated list restricted to known values
+ * @param {string} name - Option name, used in error messages
+ * @param {string|undefined} value - Raw option value
+ * @param {string[]} allowed - Allowed entries, also the default
+ * @returns {string[]}
+ */
+function parseList(name, value, allowed) {
+  if (value === undefined) {
+    return [...allowed];
+  }
+
+  const items = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  if (items.length === 0) {
+    throw new CliError(`Option --${name} needs at least one value (${allowed.join(', ')})`);
+  }
+
+  const unknown = items.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown ${name}: ${unknown.join(', ')}. Expected: ${allowed.join(', ')}`);
+  }
+
+  return [...new Set(items)];
+}
+
+/**
+ * Validate a single choice
+ * @param {string} name - Option name, used in error messages
+ * @param {string} value - Raw option value
+ * @param {string[]} allowed - Allowed values
+ * @returns {string}
+ */
+function parseChoice(name, value, allowed) {
+  const choice = allowed.find(item => item.toLowerCase() === value.trim().toLowerCase());
+  if (!choice) {
+    throw new CliError(`Invalid --${name} "${value}". Expected one of: ${allowed.join(', ')}`);
+  }
+  return choice;
+}
+
+/**
+ * Resolve a sitemap argument: URLs are kept, files must exist
+ * @param {string} value - File path or http(s) URL
+ * @returns {string}
+ */
+function parseSitemap(value) {
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      return new URL(value).toString();
+    } catch (error) {
+      throw new CliError(`Invalid --sitemap URL: ${value}`);
+    }
+  }
+  return parseFile('sitemap', value);
+}
+
+/**
+ * Validate a crawl seed URL
+ * @param {string} value - http(s) URL
+ * @returns {string}
+ */
+function parseCrawlSeed(value) {
+  if (!/^https?:\/\//i.test(value)) {
+    throw new CliError(`Invalid --crawl URL "${value}". Expected an http(s) URL`);
+  }
+  try {
+    return new URL(value).toString();
+  } catch (error) {
+    throw new CliError(`Invalid --crawl URL: ${value}`);
+  }
+}
+
+/**
+ * Compile a URL pattern
+ * @param {string} name - Option name, used in error messages
+ * @param {string} value - Regular expression source
+ * @returns {RegExp}
+ */
+function parsePattern(name, value) {
+  try {
+    return new RegExp(value);
+  } catch (error) {
+    throw new CliError(`Invalid --${name} regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the concurrency level
+ * @param {string|undefined} value - Raw option value (a number or "auto")
+ * @returns {number}
+ */
+function parseConcurrency(value) {
+  if (value === undefined) {
+    return 1;
+  }
+  if (value.trim().toLowerCase() === 'auto') {
+    return getRecommendedConcurrency();
+  }
+
+  return parseCount('concurrency', value, 1);
+}
+
+/**
+ * Validate a whole number
+ * @param {string} name - Option name, used in error messages
+ * @param {string|undefined} value - Raw option value
+ * @param {number} defaultValue - Value used when the option is absent
+ * @param {number} [min] - Smallest allowed value (default: 1)
+ * @returns {number}
+ */
+function parseCount(name, value, defaultValue, min = 1) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const count = Number(value);
+  if (value.trim() === '' || !Number.isInteger(count) || count < min) {
+    throw new CliError(`Invalid --${name} "${value}". Expected a whole number of at least ${min}`);
+  }
+  return count;
+}
+
+/**
+ * Validate a non-negative number
+ * @param {string} name - Option name, used in error messages
+ * @param {string|undefined} value - Raw option value
+ * @param {number} defaultValue - Value used when the option is absent
+ * @returns {number}
+ */
+function parseNumber(name, value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new CliError(`Invalid --${name} "${value}". Expected a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * Load the device profiles, including those of a --device-config file
+ * @param {string|undefined} value - Path to the profiles JSON file
+ * @returns {Object} Resolved profiles keyed by name
+ */
+function parseDeviceConfig(value) {
+  const file = value === undefined ? undefined : parseFile('device-config', value);
+  try {
+    return loadDeviceProfiles(file);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+}
+
+/**
+ * Parse a shard selection such as "2/4" or "2of4"
+ * @param {string} value - Raw option value
+ * @returns {{index: number, total: number}} 1-based shard index and shard count
+ */
+function parseShard(value) {
+  const match = /^\s*(\d+)\s*(?:\/|of)\s*(\d+)\s*$/i.exec(value);
+  const index = match ? Number(match[1]) : NaN;
+  const total = match ? Number(match[2]) : NaN;
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new CliError(`Invalid --shard "${value}". Expected i/n with 1 <= i <= n, e.g. 2/4`);
+  }
+  return { index, total };
+}
+
+/**
+ * Validate a baseline name, which becomes a file name
+ * @param {string} value - Raw option value
+ * @returns {string}
+ */
+function parseBaselineName(value) {
+  if (!/^[\w.-]+$/.test(value)) {
+    throw new CliError(`Invalid --save-baseline "${value}". Use letters, digits, ".", "_" and "-" only`);
+  }
+  return value;
+}
+
+/**
+ * Build the --help page
+ * @returns {string}
+ */
+function getHelpText() {
+  const flags = OPTIONS.map(option => {
+    const names = [option.alias ? `-${option.alias}` : null, `--${option.name}`].filter(Boolean).join(', ');
+    return option.value ? `${names} ${option.value}` : names;
+  });
+  const width = Math.max(...flags.map(flag => flag.length)) + 2;
+
+  return [
+    'Usage: node lighthouse-audit.js [options] [csv-file...]',
+    '',
+    'Runs Lighthouse audits for every URL in the given CSV file(s), sitemap(s) and crawls.',
+    '',
+    'Options:',
+    ...OPTIONS.map((option, index) => `  ${flags[index].padEnd(width)}${option.description}`),
+    '',
+    'Examples:',
+    '  node lighthouse-audit.js --input "data/urls - Master.csv" --devices mobile',
+    '  node lighthouse-audit.js data/urls-1.csv data/urls-2.csv --output reports/batch',
+    '  node lighthouse-audit.js "data/*.csv" --tag campaign --shard 1/4 --output reports/shard-1',
+    '  node lighthouse-audit.js --sitemap https://example.com/sitemap.xml --include "/en/" --max-urls 50',
+    '  node lighthouse-audit.js --crawl https://example.com/ --crawl-depth 3 --crawl-export data/urls-crawled.csv',
+    '  npm run lighthouse -- --device-config data/devices.json --devices mobile,tablet,low-end-android',
+    '  npm run lighthouse -- --categories performance,seo --filter "/en/"',
+    '  npm run lighthouse -- --runs 5 --median-by lcp',
+    '  npm run lighthouse -- --budgets data/budgets.json --reporters junit,markdown',
+    '  npm run lighthouse -- --save-baseline release-1.2',
+    '  npm run lighthouse -- --baseline release-1.2 --tolerance 3',
+    '  npm run lighthouse -- --output reports/nightly --resume --retry-failed'
+  ].join('\n');
+}
+
+module.exports = {
+  parseArgs,
+  getHelpText,
+  CliError
+};
@@ -0,0 +1,92 @@
+/**
+ * Known consent management platforms (CMPs)
+ *
+ * Cookie banners served by a CMP have stable ids and a JavaScript API, so
+ * they can be recognized and answered precisely instead of clicking the first
+ * "Accept" or "Close" on the page. Each platform lists:
+ *
+ * - markers: selectors only the platform's markup uses (checked in every
+ *   frame); the first one is the banner itself
+ * - global: window property the platform's script defines
+ * - globalMarkers: selectors one of which has to match as well for `global`
+ *   to count, for globals other platforms define too (the IAB TCF `__tcfapi`)
+ * - accept / reject: the banner buttons for each choice, tried in order
+ * - api: functions run in the page when no button is visible or the click
+ *   did not close the banner
+ */
+
+const CMP_ACTIONS = ['accept', 'reject'];
+
+const CONSENT_PLATFORMS = {
+  onetrust: {
+    label: 'OneTrust',
+    markers: ['#onetrust-banner-sdk', '#onetrust-consent-sdk'],
+    global: 'OneTrust',
+    accept: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'],
+    reject: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler'],
+    api: {
+      accept: () => window.OneTrust.AllowAll(),
+      reject: () => window.OneTrust.RejectAll()
+    }
+  },
+  cookiebot: {
+    label: 'Cookiebot',
+    markers: ['#CybotCookiebotDialog'],
+    global: 'Cookiebot',
+    accept: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+    reject: ['#CybotCookiebotDialogBodyButtonDecline'],
+    api: {
+      accept: () => window.Cookiebot.submitCustomConsent(true, true, true),
+      reject: () => window.Cookiebot.submitCustomConsent(false, false, false)
+    }
+  },
+  trustarc: {
+    label: 'TrustArc',
+    markers: ['#truste-consent-track', '#truste-consent-button', 'iframe[src*="consent-pref.trustarc.com"]'],
+    global: 'truste',
+    accept: ['#truste-consent-button', '.pdynamicbutton .call'],
+    reject: ['#truste-consent-required', '.pdynamicbutton .required'],
+    api: null
+  },
+  didomi: {
+    label: 'Didomi',
+    markers: ['#didomi-notice', '#didomi-host'],
+    global: 'Didomi',
+    accept: ['#didomi-notice-agree-button'],
+    reject: ['#didomi-notice-disagree-button'],
+    api: {
+      accept: () => window.Didomi.setUserAgreeToAll(),
+      reject: () => window.Didomi.setUserDisagreeToAll()
+    }
+  },
+  usercentrics: {
+    label: 'Usercentrics',
+    markers: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+    global: 'UC_UI',
+    accept: ['[data-testid="uc-accept-all-button"]', '#accept'],
+    reject: ['[data-testid="uc-deny-all-button"]', '#deny'],
+    api: {
+      accept: () => window.UC_UI.acceptAllConsents().then(() => window.UC_UI.closeCMP()),
+      reject: () => window.UC_UI.denyAllConsents().then(() => window.UC_UI.closeCMP())
+    }
+  },
+  quantcast: {
+    label: 'Quantcast Choice',
+    markers: ['#qc-cmp2-container', '.qc-cmp2-container', '#qc-cmp2-ui'],
+    global: '__tcfapi',
+    globalMarkers: ['[class*="qc-cmp2"]', 'script[src*="quantcast.mgr.consensu.org"]', 'script[src*="cmp.quantcast.com"]', 'script[src*="cmp.inmobi.com"]'],
+    accept: ['.qc-cmp2-summary-buttons button[mode="primary"]', '#qc-cmp2-ui button[mode="primary"]'],
+    // The summary shows MORE OPTIONS, then DISAGREE when the site offers it, both as secondary buttons
+    reject: [
+      '.qc-cmp2-summary-buttons button:has-text("Disagree")',
+      '.qc-cmp2-summary-buttons button:has-text("Reject")',
+      '.qc-cmp2-summary-buttons button[mode="secondary"] + button[mode="secondary"]'
+    ],
+    api: null
+  }
+};
+
+module.exports = {
+  CONSENT_PLATFORMS,
+  CMP_ACTIONS
+};
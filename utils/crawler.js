@@ -0,0 +1,201 @@
+const { handleDisclaimers } = require('./disclaimer-handler');
+const { matchesPatterns } = require('./sitemap-reader');
+
+/**
+ * Same-origin crawler
+ *
+ * Starts from seed URLs and follows links breadth-first with Playwright.
+ * Disclaimers are handled on every page so the HCP gate does not hide the
+ * navigation. Only links on the origin of their seed are followed; a seed
+ * that redirects moves its crawl to the origin it redirects to.
+ */
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+
+// Links to files that are not worth opening in a browser
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|docx?|xlsx?|pptx?|jpe?g|png|gif|svg|webp|ico|mp3|mp4|mov|avi|webm|css|js|json|xml|txt)$/i;
+
+/**
+ * Normalize a URL for deduplication: no fragment, no tracking parameters,
+ * sorted query string and no trailing slash (except for the root path)
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Normalized URL, or null for non-http(s) URLs
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  parsed.hash = '';
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (/^(utm_\w+|gclid|fbclid)$/i.test(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Resolve a link to the absolute URL a browser would open, without its fragment
+ * @param {string} href - href attribute as written in the page, or an absolute URL
+ * @param {string} [base] - URL the page ended up at, or its <base href>
+ * @returns {string|null} Absolute http(s) URL, or null for unusable links
+ */
+function resolveLink(href, base) {
+  let parsed;
+  try {
+    parsed = new URL(href, base);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+/**
+ * Crawl same-origin pages starting from the seed URLs
+ * @param {string[]} seeds - Start URLs
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.maxDepth] - Link depth to follow from the seeds (default: 2)
+ * @param {number} [options.maxPages] - Maximum number of pages to collect (default: 50)
+ * @param {RegExp[]} [options.include] - Only collect URLs matching one of these
+ * @param {RegExp[]} [options.exclude] - Neither collect nor follow URLs matching these, seeds included
+ * @param {number} [options.timeout] - Navigation timeout per page in ms (default: 30000)
+ * @param {Object} [options.disclaimers] - Options for handleDisclaimers() (rules, cmpAction)
+ * @returns {Promise<Array<{url: string, description: string}>>} Pages under the URL they ended up at after
+ *   redirects, as the site serves it; normalizeUrl() is only used to recognize pages seen before
+ */
+async function crawlSite(seeds, options = {}) {
+  const {
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+    include = [],
+    exclude = [],
+    timeout = 30000,
+    disclaimers
+  } = options;
+
+  // URLs are opened and collected as written; their normalized form is the dedupe key in `seen`
+  const queue = [];
+  const seen = new Set();
+  for (const seed of seeds) {
+    const url = resolveLink(seed);
+    const key = url && normalizeUrl(url);
+    if (!key || seen.has(key)) {
+      continue;
+    }
+    if (!matchesPatterns(url, [], exclude)) {
+      console.log(`🕷️  Skipping excluded seed ${url}`);
+      continue;
+    }
+    seen.add(key);
+    queue.push({ url, key, depth: 0, origin: new URL(url).origin });
+  }
+  if (queue.length === 0) {
+    console.log('Crawled 0 pages (no seed URLs left to crawl)');
+    return [];
+  }
+
+  const { chromium } = require('playwright');
+  const pages = [];
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--disable-dev-shm-usage', '--no-sandbox', '--disable-setuid-sandbox']
+  });
+  const context = await browser.newContext();
+  const page = await context.newPage();
+
+  try {
+    while (queue.length > 0 && pages.length < maxPages) {
+      const next = queue.shift();
+      const { url, key, depth } = next;
+      let { origin } = next;
+      console.log(`🕷️  [depth ${depth}] ${url}`);
+
+      let response;
+      let links;
+      let title;
+      try {
+        response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        await handleDisclaimers(page, undefined, disclaimers);
+        title = (await page.title()).trim();
+        links = await page.evaluate(() => ({
+          base: document.querySelector('base[href]') ? document.baseURI : null,
+          hrefs: [...document.querySelectorAll('a[href]')].map(a => a.getAttribute('href'))
+        }));
+      } catch (error) {
+        console.warn(`Skipping ${url}: ${error.message}`);
+        continue;
+      }
+
+      // Links are relative to where the page ended up after redirects
+      const finalUrl = resolveLink(response ? response.url() : page.url()) || url;
+      const finalKey = normalizeUrl(finalUrl);
+      if (finalKey !== key) {
+        if (seen.has(finalKey) || !matchesPatterns(finalUrl, [], exclude)) {
+          console.log(`🕷️  ${url} redirects to ${finalUrl}, which is excluded or already known; skipping it`);
+          continue;
+        }
+        if (depth === 0) {
+          origin = new URL(finalUrl).origin;
+        } else if (new URL(finalUrl).origin !== origin) {
+          console.log(`🕷️  ${url} redirects off the site to ${finalUrl}, skipping it`);
+          continue;
+        }
+        seen.add(finalKey);
+      }
+
+      if (matchesPatterns(finalUrl, include, [])) {
+        pages.push({ url: finalUrl, description: title || new URL(finalUrl).pathname });
+      }
+
+      if (depth >= maxDepth) {
+        continue;
+      }
+
+      for (const href of links.hrefs) {
+        const link = resolveLink(href, links.base || finalUrl);
+        const linkKey = link && normalizeUrl(link);
+        if (!linkKey || seen.has(linkKey) || new URL(link).origin !== origin) {
+          continue;
+        }
+        if (SKIPPED_EXTENSIONS.test(new URL(link).pathname) || !matchesPatterns(link, [], exclude)) {
+          continue;
+        }
+        seen.add(linkKey);
+        queue.push({ url: link, key: linkKey, depth: depth + 1, origin });
+      }
+    }
+  } finally {
+    await page.close();
+    await context.close();
+    await browser.close();
+  }
+
+  console.log(`Crawled ${pages.length} pages (${seen.size} URLs discovered)`);
+  return pages;
+}
+
+module.exports = {
+  crawlSite,
+  normalizeUrl,
+  resolveLink,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_PAGES
+};
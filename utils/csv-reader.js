@@ -1,34 +1,274 @@
 const csv = require('csv-parser');
 const fs = require('fs');
+const fse = require('fs-extra');
 const path = require('path');
+const { describeUrl } = require('./sitemap-reader');
+const { validateBudget } = require('./budgets');
+const { CATEGORIES } = require('./lighthouse-runner');
+const { METRICS } = require('./metrics');
 
-/**8888
+/**
+ * CSV URL source
+ *
+ * `url` is the only required column. Optional columns configure single rows:
+ *
+ *   description       Shown in the summaries (default: host and path)
+ *   devices           Devices to audit for this row, e.g. "mobile" or "desktop;mobile"
+ *   tags              Labels such as "home;campaign"
+ *   group             Group name, e.g. "product pages"
+ *   wait_for          CSS selector to wait for before disclaimers and the screenshot
+ *   skip_disclaimers  true to leave disclaimers alone (the row is audited in the gated view only)
+ *   headers           Extra request headers: "Name: value; Name: value" or a JSON
+ *                     object (needed for values containing ";", such as Cookie)
+ *   setup             Setup script (.js) or storageState (.json) run before the audit,
+ *                     relative to the CSV file
+ *   flow              User flow JSON run for this URL, relative to the CSV file
+ *   budget_<key>      Budget for a category (budget_performance, budget_best_practices)
+ *                     or a metric (budget_lcp, budget_totalByteWeight)
+ *
+ * Column names are case-insensitive and may use spaces or dashes instead of
+ * underscores. List values are separated by ";" or "|" (or "," in a quoted cell).
+ *
+ * Invalid rows (missing or malformed URLs, bad values, duplicates) are
+ * reported with their line number and skipped. In strict mode they fail the
+ * whole read instead.
+ */
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false, '': false
+};
+
+/**
+ * Normalize a column name: trimmed, lowercase, underscores for spaces and dashes
+ * @param {string} header - Column name as written in the file
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Map budget column names to budget keys: budget_best_practices -> scores.best-practices
+ * @returns {Map<string, {type: string, name: string}>}
+ */
+function getBudgetColumns() {
+  const columns = new Map();
+  for (const id of Object.keys(CATEGORIES)) {
+    columns.set(`budget_${normalizeHeader(id)}`, { type: 'scores', name: id });
+  }
+  for (const name of Object.keys(METRICS)) {
+    columns.set(`budget_${normalizeHeader(name)}`, { type: 'metrics', name });
+  }
+  return columns;
+}
+
+const COLUMNS = ['url', 'description', 'devices', 'tags', 'group', 'wait_for', 'skip_disclaimers', 'headers', 'setup', 'flow'];
+
+/**
+ * Split a list cell on ";", "|" or ","
+ * @param {string} value - Cell value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return [...new Set(value.split(/[;|,]/).map(item => item.trim()).filter(Boolean))];
+}
+
+// Characters allowed in a header name (an HTTP token)
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Parse a headers cell. In the list form each entry is split at its first
+ * ":" only, so values may contain colons. Values containing ";" need the
+ * JSON form, e.g. {"Cookie": "a=1; b=2"}.
+ * @param {string} value - "Name: value; Name: value" or a JSON object
+ * @returns {Object}
+ */
+function parseHeaders(value) {
+  let headers = {};
+  if (value.startsWith('{')) {
+    try {
+      headers = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`headers is not valid JSON: ${error.message}`);
+    }
+    if (Array.isArray(headers) || Object.values(headers).some(header => typeof header !== 'string')) {
+      throw new Error('headers JSON must be an object of string values');
+    }
+  } else {
+    for (const pair of value.split(';').map(item => item.trim()).filter(Boolean)) {
+      const index = pair.indexOf(':');
+      if (index <= 0 || !HEADER_NAME.test(pair.slice(0, index).trim())) {
+        throw new Error(`header "${pair}" must look like "Name: value" (use the JSON form for values containing ";")`);
+      }
+      headers[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+  }
+
+  const invalid = Object.keys(headers).filter(name => !HEADER_NAME.test(name));
+  if (invalid.length > 0) {
+    throw new Error(`invalid header names: ${invalid.map(name => `"${name}"`).join(', ')}`);
+  }
+  return headers;
+}
+
+/**
+ * Turn one CSV row into a URL record
+ * @param {Object} data - Row keyed by normalized column name
+ * @param {Map} budgetColumns - Result of getBudgetColumns()
+ * @param {string[]} [knownDevices] - Device names allowed in the devices column
+ * @param {string} baseDir - Directory relative setup paths are resolved against
+ * @returns {Object} URL record; optional settings are only present when set
+ */
+function parseRow(data, budgetColumns, knownDevices, baseDir) {
+  const rawUrl = (data.url || '').trim();
+  if (!rawUrl) {
+    throw new Error('missing url');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (error) {
+    throw new Error(`invalid URL "${rawUrl}"`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`URL "${rawUrl}" must use http or https`);
+  }
+
+  const record = {
+    url: rawUrl,
+    description: (data.description || '').trim() || describeUrl(rawUrl)
+  };
+
+  const devices = (data.devices || '').trim();
+  if (devices) {
+    record.devices = splitList(devices.toLowerCase());
+    const unknown = knownDevices ? record.devices.filter(device => !knownDevices.includes(device)) : [];
+    if (unknown.length > 0) {
+      throw new Error(`unknown devices: ${unknown.join(', ')}. Expected: ${knownDevices.join(', ')}`);
+    }
+  }
+
+  const tags = splitList(data.tags || '');
+  if (tags.length > 0) {
+    record.tags = tags;
+  }
+
+  if ((data.group || '').trim()) {
+    record.group = data.group.trim();
+  }
+
+  if ((data.wait_for || '').trim()) {
+    record.waitFor = data.wait_for.trim();
+  }
+
+  const skip = (data.skip_disclaimers || '').trim().toLowerCase();
+  if (!(skip in BOOLEAN_VALUES)) {
+    throw new Error(`skip_disclaimers must be true or false, got "${data.skip_disclaimers}"`);
+  }
+  if (BOOLEAN_VALUES[skip]) {
+    record.skipDisclaimers = true;
+  }
+
+  if ((data.headers || '').trim()) {
+    record.headers = parseHeaders(data.headers.trim());
+  }
+
+  for (const column of ['setup', 'flow']) {
+    const file = (data[column] || '').trim();
+    if (file) {
+      record[column] = path.resolve(baseDir, file);
+      if (!fs.existsSync(record[column])) {
+        throw new Error(`${column} file not found: ${file}`);
+      }
+    }
+  }
+
+  const budget = { scores: {}, metrics: {} };
+  for (const [column, { type, name }] of budgetColumns) {
+    const value = (data[column] || '').trim();
+    if (value) {
+      if (Number.isNaN(Number(value))) {
+        throw new Error(`${column} must be a number, got "${value}"`);
+      }
+      budget[type][name] = Number(value);
+    }
+  }
+  if (Object.keys(budget.scores).length > 0 || Object.keys(budget.metrics).length > 0) {
+    record.budget = validateBudget(budget, 'budget');
+  }
+
+  return record;
+}
+
+/**
  * Read URLs from CSV file
  * @param {string} csvFilePath - Path to the CSV file
- * @returns {Promise<Array<{url: string, description: string}>>}
+ * @param {Object} [options] - Reader options
+ * @param {boolean} [options.strict] - Throw when any row or column is invalid instead of skipping it
+ * @param {string[]} [options.devices] - Device names allowed in the devices column
+ * @returns {Promise<Array<{url: string, description: string, row: number}>>}
+ *   Records also carry devices, tags, group, waitFor, skipDisclaimers, headers,
+ *   setup, flow and budget when their columns are set
  */
-async function readUrlsFromCSV(csvFilePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    
+async function readUrlsFromCSV(csvFilePath, options = {}) {
+  const { strict = false, devices } = options;
+  const budgetColumns = getBudgetColumns();
+
+  const rows = await new Promise((resolve, reject) => {
+    const data = [];
+    let headers = [];
+
     fs.createReadStream(csvFilePath)
-      .pipe(csv())
-      .on('data', (data) => {
-        if (data.url && data.url.trim()) {
-          results.push({
-            url: data.url.trim(),
-            description: data.description || 'No description'
-          });
-        }
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('headers', (names) => {
+        headers = names;
       })
-      .on('end', () => {
-        console.log(`Read ${results.length} URLs from CSV file`);
-        resolve(results);
-      })
-      .on('error', (error) => {
-        reject(error);
-      });
+      .on('data', (row) => data.push(row))
+      .on('end', () => resolve({ headers, data }))
+      .on('error', reject);
   });
+
+  const problems = [];
+  const unknownColumns = rows.headers.filter(name => name && !COLUMNS.includes(name) && !budgetColumns.has(name));
+  if (unknownColumns.length > 0) {
+    problems.push({ message: `unknown columns ${unknownColumns.join(', ')}`, action: 'ignored' });
+  }
+  if (!rows.headers.includes('url')) {
+    throw new Error(`${csvFilePath} has no "url" column`);
+  }
+
+  const results = [];
+  const seen = new Map();
+  rows.data.forEach((data, index) => {
+    // Line 1 is the header
+    const row = index + 2;
+    if (Object.values(data).every(value => !value.trim())) {
+      return;
+    }
+    try {
+      const record = parseRow(data, budgetColumns, devices, path.dirname(path.resolve(csvFilePath)));
+      const key = new URL(record.url).toString();
+      if (seen.has(key)) {
+        throw new Error(`duplicate of row ${seen.get(key)} (${record.url})`);
+      }
+      seen.set(key, row);
+      results.push({ ...record, row });
+    } catch (error) {
+      problems.push({ message: `row ${row}: ${error.message}`, action: 'skipped' });
+    }
+  });
+
+  if (problems.length > 0) {
+    if (strict) {
+      throw new Error(`${csvFilePath} is invalid (strict mode):\n  ${problems.map(({ message }) => message).join('\n  ')}`);
+    }
+    problems.forEach(({ message, action }) => console.warn(`⚠️  ${path.basename(csvFilePath)} ${message} (${action})`));
+  }
+
+  console.log(`Read ${results.length} URLs from CSV file`);
+  return results;
 }
 
 /**
@@ -39,7 +279,22 @@ function getDefaultCSVPath() {
   return path.join(__dirname, '..', 'data', 'urls.csv');
 }
 
+/**
+ * Write URLs to a CSV file in the format readUrlsFromCSV expects
+ * @param {Array<{url: string, description: string}>} urls - URLs to write
+ * @param {string} csvFilePath - Path of the CSV file
+ */
+async function writeUrlsToCSV(urls, csvFilePath) {
+  const escape = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const lines = ['url,description', ...urls.map(({ url, description }) => `${escape(url)},${escape(description || '')}`)];
+
+  await fse.ensureDir(path.dirname(csvFilePath));
+  await fse.writeFile(csvFilePath, lines.join('\n') + '\n');
+  console.log(`Wrote ${urls.length} URLs to CSV file`);
+}
+
 module.exports = {
   readUrlsFromCSV,
+  writeUrlsToCSV,
   getDefaultCSVPath
 }; 
\ No newline at end of file
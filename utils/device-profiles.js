@@ -0,0 +1,309 @@
+const fs = require('fs');
+
+/**
+ * Device and throttling profiles
+ *
+ * A profile describes how Lighthouse emulates a device: form factor, screen,
+ * throttling method, network, CPU slowdown and user agent. `desktop` and
+ * `mobile` are built in and audited by default; `lighthouse-desktop` and
+ * `lighthouse-mobile` are built in too. More profiles (or replacements for
+ * the built-in ones) come from a JSON file:
+ *
+ * {
+ *   "profiles": {
+ *     "tablet": {
+ *       "extends": "lighthouse-mobile",
+ *       "label": "Tablet",
+ *       "screen": { "width": 820, "height": 1180, "deviceScaleFactor": 2 },
+ *       "network": "slow-4g",
+ *       "cpuSlowdown": 2
+ *     },
+ *     "desktop-unthrottled": { "extends": "desktop", "throttlingMethod": "none" }
+ *   }
+ * }
+ *
+ * `network` is a preset name from NETWORK_PRESETS or an object with `rttMs`,
+ * `throughputKbps` and optionally `uploadKbps`.
+ */
+
+// Lighthouse scales these for devtools throttling, which works per request
+const DEVTOOLS_RTT_FACTOR = 3.75;
+const DEVTOOLS_THROUGHPUT_FACTOR = 0.9;
+
+/**
+ * Network presets, matching the connections Lighthouse uses for its defaults
+ */
+const NETWORK_PRESETS = {
+  'regular-3g': { label: 'Regular 3G', rttMs: 300, throughputKbps: 700, uploadKbps: 700 },
+  'slow-4g': { label: 'Slow 4G', rttMs: 150, throughputKbps: 1.6 * 1024, uploadKbps: 750 },
+  'dense-4g': { label: 'Dense 4G', rttMs: 40, throughputKbps: 10 * 1024, uploadKbps: 10 * 1024 }
+};
+
+/**
+ * Throttling methods: simulate (Lantern, fast and stable), devtools (applied
+ * while loading) and none (the connection as it is)
+ */
+const THROTTLING_METHODS = ['simulate', 'devtools', 'none'];
+
+const FORM_FACTORS = ['mobile', 'desktop'];
+
+// `desktop` and `mobile` keep the settings audits used before profiles existed
+// (both on Dense 4G without CPU slowdown), so their history and baselines stay
+// comparable. The `lighthouse-*` profiles follow Lighthouse's own presets.
+const BUILT_IN_PROFILES = {
+  desktop: {
+    label: 'Desktop',
+    icon: '🖥️ ',
+    formFactor: 'desktop',
+    screen: { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false },
+    throttlingMethod: 'simulate',
+    network: 'dense-4g',
+    cpuSlowdown: 1,
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+  },
+  mobile: {
+    label: 'Mobile',
+    icon: '📱',
+    formFactor: 'mobile',
+    screen: { width: 390, height: 844, deviceScaleFactor: 2, mobile: true },
+    throttlingMethod: 'simulate',
+    network: 'dense-4g',
+    cpuSlowdown: 1,
+    userAgent: 'Mozilla/5.0 (Linux; Android 10; Pixel 3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.120 Mobile Safari/537.36'
+  },
+  'lighthouse-desktop': {
+    label: 'Desktop (Lighthouse preset)',
+    icon: '🖥️ ',
+    formFactor: 'desktop',
+    screen: { width: 1350, height: 940, deviceScaleFactor: 1, mobile: false },
+    throttlingMethod: 'simulate',
+    network: 'dense-4g',
+    cpuSlowdown: 1,
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+  },
+  'lighthouse-mobile': {
+    label: 'Mobile (Lighthouse preset)',
+    icon: '📱',
+    formFactor: 'mobile',
+    screen: { width: 412, height: 823, deviceScaleFactor: 1.75, mobile: true },
+    throttlingMethod: 'simulate',
+    network: 'slow-4g',
+    cpuSlowdown: 4,
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Mobile Safari/537.36'
+  }
+};
+
+const DEFAULT_DEVICES = ['desktop', 'mobile'];
+
+/**
+ * Resolve the network setting of a profile
+ * @param {string|Object} network - Preset name or {rttMs, throughputKbps, uploadKbps}
+ * @param {string} where - Location used in error messages
+ * @returns {{name: string, rttMs: number, throughputKbps: number, uploadKbps: number}}
+ */
+function resolveNetwork(network, where) {
+  if (typeof network === 'string') {
+    const preset = NETWORK_PRESETS[network];
+    if (!preset) {
+      throw new Error(`${where} has an unknown network "${network}". Expected: ${Object.keys(NETWORK_PRESETS).join(', ')} or an object`);
+    }
+    return { name: network, rttMs: preset.rttMs, throughputKbps: preset.throughputKbps, uploadKbps: preset.uploadKbps };
+  }
+
+  const { rttMs, throughputKbps, uploadKbps = throughputKbps } = network || {};
+  if (![rttMs, throughputKbps, uploadKbps].every(value => typeof value === 'number' && value >= 0)) {
+    throw new Error(`${where} network needs non-negative numbers for rttMs and throughputKbps`);
+  }
+  return { name: 'custom', rttMs, throughputKbps, uploadKbps };
+}
+
+/**
+ * Validate a profile definition and fill in what it inherits
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile as written in the config file
+ * @param {Object|null} base - Resolved profile it inherits from; null only for complete definitions
+ * @param {string} where - Location used in error messages
+ * @returns {Object} Resolved profile
+ */
+function resolveProfile(name, definition, base, where) {
+  if (definition.formFactor !== undefined && !FORM_FACTORS.includes(definition.formFactor)) {
+    throw new Error(`${where} has an unknown formFactor "${definition.formFactor}". Expected: ${FORM_FACTORS.join(', ')}`);
+  }
+
+  const profile = { ...base, ...definition, screen: { ...(base && base.screen), ...definition.screen } };
+
+  if (!THROTTLING_METHODS.includes(profile.throttlingMethod)) {
+    throw new Error(`${where} has an unknown throttlingMethod "${profile.throttlingMethod}". Expected: ${THROTTLING_METHODS.join(', ')}`);
+  }
+  if (typeof profile.cpuSlowdown !== 'number' || profile.cpuSlowdown < 1) {
+    throw new Error(`${where} cpuSlowdown must be a number of at least 1`);
+  }
+  if (typeof profile.userAgent !== 'string' || !profile.userAgent) {
+    throw new Error(`${where} needs a userAgent`);
+  }
+
+  const { width, height, deviceScaleFactor = 1 } = profile.screen;
+  if (![width, height, deviceScaleFactor].every(value => typeof value === 'number' && value > 0)) {
+    throw new Error(`${where} screen needs positive numbers for width, height and deviceScaleFactor`);
+  }
+
+  return {
+    name,
+    label: definition.label || (base && base.name === name ? base.label : name),
+    icon: profile.icon || (profile.formFactor === 'mobile' ? '📱' : '🖥️ '),
+    formFactor: profile.formFactor,
+    screen: {
+      width,
+      height,
+      deviceScaleFactor,
+      mobile: definition.screen && definition.screen.mobile !== undefined ?
+        Boolean(definition.screen.mobile) :
+        profile.formFactor === 'mobile'
+    },
+    throttlingMethod: profile.throttlingMethod,
+    network: definition.network !== undefined ? resolveNetwork(definition.network, where) : base.network,
+    cpuSlowdown: profile.cpuSlowdown,
+    userAgent: profile.userAgent
+  };
+}
+
+/**
+ * Get the built-in profiles
+ * @returns {Object} Resolved profiles keyed by name
+ */
+function getBuiltInProfiles() {
+  const profiles = {};
+  for (const [name, definition] of Object.entries(BUILT_IN_PROFILES)) {
+    profiles[name] = resolveProfile(name, definition, null, `built-in profile "${name}"`);
+  }
+  return profiles;
+}
+
+/**
+ * Load device profiles from a config file on top of the built-in ones.
+ * Reads synchronously so the CLI can validate --devices against the result.
+ * @param {string} [filePath] - Path to the profiles JSON file
+ * @returns {Object} Resolved profiles keyed by name
+ */
+function loadDeviceProfiles(filePath) {
+  const profiles = getBuiltInProfiles();
+  if (!filePath) {
+    return profiles;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read device profiles ${filePath}: ${error.message}`);
+  }
+  if (!config.profiles || typeof config.profiles !== 'object') {
+    throw new Error(`${filePath} needs a "profiles" object`);
+  }
+
+  const definitions = config.profiles;
+  const resolving = new Set();
+  const resolve = (name) => {
+    const where = `${filePath} profile "${name}"`;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(`${where}: names may only use lowercase letters, digits and "-"`);
+    }
+    if (resolving.has(name)) {
+      throw new Error(`${where} has circular "extends"`);
+    }
+
+    const definition = definitions[name];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    // Without "extends" a profile builds on the built-in profile of its form factor
+    resolving.add(name);
+    let base = profiles[definition.formFactor] || profiles[name] || null;
+    if (definition.extends) {
+      if (definitions[definition.extends] && definition.extends !== name) {
+        base = resolve(definition.extends);
+      } else if (profiles[definition.extends]) {
+        base = profiles[definition.extends];
+      } else {
+        throw new Error(`${where} extends unknown profile "${definition.extends}"`);
+      }
+    } else if (!base) {
+      throw new Error(`${where} needs a formFactor of ${FORM_FACTORS.join(' or ')} or an "extends"`);
+    }
+    resolving.delete(name);
+
+    return resolveProfile(name, definition, base, where);
+  };
+
+  const loaded = {};
+  for (const name of Object.keys(definitions)) {
+    loaded[name] = resolve(name);
+  }
+  return { ...profiles, ...loaded };
+}
+
+/**
+ * Build the Lighthouse settings for a profile
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} formFactor, screenEmulation, throttlingMethod, throttling and emulatedUserAgent
+ */
+function getLighthouseSettings(profile) {
+  const { network, cpuSlowdown } = profile;
+  return {
+    formFactor: profile.formFactor,
+    screenEmulation: { ...profile.screen, disabled: false },
+    throttlingMethod: profile.throttlingMethod === 'none' ? 'provided' : profile.throttlingMethod,
+    throttling: {
+      rttMs: network.rttMs,
+      throughputKbps: network.throughputKbps,
+      requestLatencyMs: network.rttMs * DEVTOOLS_RTT_FACTOR,
+      downloadThroughputKbps: network.throughputKbps * DEVTOOLS_THROUGHPUT_FACTOR,
+      uploadThroughputKbps: network.uploadKbps * DEVTOOLS_THROUGHPUT_FACTOR,
+      cpuSlowdownMultiplier: cpuSlowdown
+    },
+    emulatedUserAgent: profile.userAgent
+  };
+}
+
+/**
+ * Summarize a profile for the audit results
+ * @param {Object} profile - Resolved profile
+ * @returns {{name: string, formFactor: string, throttlingMethod: string, network: string, cpuSlowdown: number, screen: Object}}
+ */
+function summarizeProfile(profile) {
+  const { network } = profile;
+  return {
+    name: profile.name,
+    formFactor: profile.formFactor,
+    throttlingMethod: profile.throttlingMethod,
+    network: network.name === 'custom' ?
+      `custom (${network.rttMs} ms RTT, ${Math.round(network.throughputKbps)} Kbps)` :
+      NETWORK_PRESETS[network.name].label,
+    cpuSlowdown: profile.cpuSlowdown,
+    screen: { width: profile.screen.width, height: profile.screen.height, deviceScaleFactor: profile.screen.deviceScaleFactor }
+  };
+}
+
+/**
+ * Describe a profile summary in one line, e.g. "Slow 4G, 4x CPU, simulate, 390x844"
+ * @param {Object} summary - Result of summarizeProfile()
+ * @returns {string}
+ */
+function describeProfile(summary) {
+  if (summary.throttlingMethod === 'none') {
+    return `no throttling, ${summary.screen.width}x${summary.screen.height}`;
+  }
+  return `${summary.network}, ${summary.cpuSlowdown}x CPU, ${summary.throttlingMethod}, ${summary.screen.width}x${summary.screen.height}`;
+}
+
+module.exports = {
+  loadDeviceProfiles,
+  getBuiltInProfiles,
+  getLighthouseSettings,
+  summarizeProfile,
+  describeProfile,
+  NETWORK_PRESETS,
+  THROTTLING_METHODS,
+  DEFAULT_DEVICES
+};
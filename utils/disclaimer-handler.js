@@ -1,247 +1,732 @@
+const { findRules } = require('./disclaimer-rules');
+const { CONSENT_PLATFORMS } = require('./consent-platforms');
+const { DISCLAIMER_TEXTS, DEFAULT_LANGUAGE, pickLanguage, getTextSelectors } = require('./disclaimer-texts');
+
 /**88888
  * Disclaimer Handler Utility
  * Handles consent and cookie disclaimers that appear when accessing URLs
  * 
  * This utility automatically detects and handles common disclaimer popups:
  * 1. Consent disclaimers - clicks "I am a Healthcare Professional" or similar
- * 2. Cookie disclaimers - clicks "Ok", "Accept", "Accept All", etc.
- * 
- * To add custom selectors for specific websites, add them to the respective arrays:
- * - consentSelectors: for healthcare/consent related buttons
- * - cookieSelectors: for cookie/consent related buttons
+ * 2. Cookie disclaimers - answers the banner of a known consent management
+ *    platform (OneTrust, Cookiebot, ...) through its own buttons or API, or
+ *    clicks "Ok", "Accept", "Accept All", etc. when no platform is recognized
  * 
- * Example custom selectors:
- * - 'button:has-text("Custom Button Text")'
- * - '[data-testid="custom-button"]'
- * - '.custom-class button'
- * - '#custom-id'
+ * Sites that need their own selectors or steps (region pickers, two-step
+ * gates, slow overlays) get a rule in data/disclaimer-rules.json instead of
+ * changes here; see utils/disclaimer-rules.js for the format. Rules run
+ * before the generic handlers and their selectors are tried first.
+ *
+ * Pages in other languages are matched by the button texts of their language
+ * (utils/disclaimer-texts.js), tried after the rules' selectors and before
+ * the English ones below.
+ */
+
+// Generic selectors for healthcare/consent related buttons
+const CONSENT_SELECTORS = [
+  'text="I am a Healthcare Professional"',
+  'text="I am a Healthcare Professional" >> button',
+  'text="I am a Healthcare Professional" >> a',
+  'button:has-text("I am a Healthcare Professional")',
+  'button:has-text("Healthcare Professional")',
+  'button:has-text("Healthcare")',
+  'a:has-text("I am a Healthcare Professional")',
+  'a:has-text("Healthcare Professional")',
+  'a:has-text("Healthcare")',
+  '[data-testid*="consent"] button:has-text("Healthcare Professional")',
+  '[data-testid*="consent"] button:has-text("Healthcare")',
+  '[data-testid*="healthcare"] button',
+  '.consent-button:has-text("Healthcare Professional")',
+  '.consent-button:has-text("Healthcare")',
+  '.healthcare-button',
+  '#consent-button:has-text("Healthcare Professional")',
+  '#consent-button:has-text("Healthcare")',
+  '#healthcare-button',
+  '[role="button"]:has-text("Healthcare Professional")',
+  '[role="button"]:has-text("Healthcare")',
+  '[class*="consent"] button:has-text("Healthcare")',
+  '[class*="healthcare"] button',
+  '[id*="consent"] button:has-text("Healthcare")',
+  '[id*="healthcare"] button'
+];
+
+// Generic selectors for cookie/consent related buttons
+const COOKIE_SELECTORS = [
+  'text="Ok"',
+  'text="OK"',
+  'text="Accept"',
+  'text="Accept All"',
+  'text="Accept All Cookies"',
+  'text="Accept Cookies"',
+  'text="I Accept"',
+  'text="Got it"',
+  'text="Close"',
+  'text="Continue"',
+  'text="Proceed"',
+  'text="Agree"',
+  'text="I Agree"',
+  'text="Allow"',
+  'text="Allow All"',
+  'button:has-text("Ok")',
+  'button:has-text("OK")',
+  'button:has-text("Accept")',
+  'button:has-text("Accept All")',
+  'button:has-text("Accept All Cookies")',
+  'button:has-text("Accept Cookies")',
+  'button:has-text("I Accept")',
+  'button:has-text("Got it")',
+  'button:has-text("Close")',
+  'button:has-text("Continue")',
+  'button:has-text("Proceed")',
+  'button:has-text("Agree")',
+  'button:has-text("I Agree")',
+  'button:has-text("Allow")',
+  'button:has-text("Allow All")',
+  'a:has-text("Ok")',
+  'a:has-text("OK")',
+  'a:has-text("Accept")',
+  'a:has-text("Accept All")',
+  'a:has-text("Accept All Cookies")',
+  'a:has-text("Accept Cookies")',
+  'a:has-text("I Accept")',
+  'a:has-text("Got it")',
+  'a:has-text("Close")',
+  'a:has-text("Continue")',
+  'a:has-text("Proceed")',
+  'a:has-text("Agree")',
+  'a:has-text("I Agree")',
+  'a:has-text("Allow")',
+  'a:has-text("Allow All")',
+  '[data-testid*="cookie"] button:has-text("Ok")',
+  '[data-testid*="cookie"] button:has-text("Accept")',
+  '[data-testid*="cookie"] button:has-text("Accept All Cookies")',
+  '[data-testid*="cookie"] button:has-text("Allow")',
+  '[data-testid*="consent"] button:has-text("Ok")',
+  '[data-testid*="consent"] button:has-text("Accept")',
+  '[data-testid*="consent"] button:has-text("Accept All Cookies")',
+  '[data-testid*="consent"] button:has-text("Allow")',
+  '.cookie-button:has-text("Ok")',
+  '.cookie-button:has-text("Accept")',
+  '.cookie-button:has-text("Accept All Cookies")',
+  '.cookie-button:has-text("Allow")',
+  '.consent-button:has-text("Ok")',
+  '.consent-button:has-text("Accept")',
+  '.consent-button:has-text("Accept All Cookies")',
+  '.consent-button:has-text("Allow")',
+  '#cookie-accept:has-text("Ok")',
+  '#cookie-accept:has-text("Accept")',
+  '#cookie-accept:has-text("Accept All Cookies")',
+  '#cookie-accept:has-text("Allow")',
+  '#consent-accept:has-text("Ok")',
+  '#consent-accept:has-text("Accept")',
+  '#consent-accept:has-text("Accept All Cookies")',
+  '#consent-accept:has-text("Allow")',
+  '[role="button"]:has-text("Ok")',
+  '[role="button"]:has-text("Accept")',
+  '[role="button"]:has-text("Accept All Cookies")',
+  '[role="button"]:has-text("Allow")',
+  '[class*="cookie"] button:has-text("Ok")',
+  '[class*="cookie"] button:has-text("Accept")',
+  '[class*="cookie"] button:has-text("Accept All Cookies")',
+  '[class*="cookie"] button:has-text("Allow")',
+  '[class*="consent"] button:has-text("Ok")',
+  '[class*="consent"] button:has-text("Accept")',
+  '[class*="consent"] button:has-text("Accept All Cookies")',
+  '[class*="consent"] button:has-text("Allow")',
+  '[id*="cookie"] button:has-text("Ok")',
+  '[id*="cookie"] button:has-text("Accept")',
+  '[id*="cookie"] button:has-text("Accept All Cookies")',
+  '[id*="cookie"] button:has-text("Allow")',
+  '[id*="consent"] button:has-text("Ok")',
+  '[id*="consent"] button:has-text("Accept")',
+  '[id*="consent"] button:has-text("Accept All Cookies")',
+  '[id*="consent"] button:has-text("Allow")'
+];
+
+// Time allowed for each rule step
+const STEP_TIMEOUT = 5000;
+
+// Time a clicked disclaimer gets to disappear
+const DISMISS_TIMEOUT = 3000;
+
+// Longest wait for the network to go idle before looking for disclaimers
+const SETTLE_TIMEOUT = 3000;
+
+// Time budget for all of handleDisclaimers()
+const DEFAULT_BUDGET = 10000;
+
+/**
+ * Start a time budget shared by every wait of one disclaimer pass
+ * @param {number} ms - Budget in milliseconds
+ * @returns {{ms: number, elapsed: Function, remaining: Function, cap: Function}}
+ *   `cap(limit)` is the timeout for one wait: its own limit, cut to what is
+ *   left of the budget (at least 1ms, as 0 disables Playwright timeouts)
  */
+function createBudget(ms) {
+  const start = Date.now();
+  const remaining = () => Math.max(0, start + ms - Date.now());
+  return {
+    ms,
+    elapsed: () => Date.now() - start,
+    remaining,
+    cap: limit => Math.max(1, Math.min(limit, remaining()))
+  };
+}
 
 /**
- * Handle consent and cookie disclaimers on a page
+ * Handle consent and cookie disclaimers on a page. All waits share one time
+ * budget; the time spent in each phase is returned so its cost shows up per
+ * page.
  * @param {import('playwright').Page} page - Playwright page object
- * @param {number} timeout - Timeout in milliseconds (default: 10000)
+ * @param {number} timeout - Time budget in milliseconds for the whole pass (default: 10000)
+ * @param {Object} [options] - Handler options
+ * @param {Array} [options.rules] - Rules from loadDisclaimerRules(); those matching the page URL are applied
+ * @param {string} [options.cmpAction] - 'accept' (default) or 'reject', for recognized consent platforms
+ * @param {Object} [options.texts] - Button texts per language from loadDisclaimerTexts() (default: the built-in texts)
+ * @returns {Promise<Object>} What happened:
+ *   - detected: banners found, `{ kind, rule, selector, platform, frame, dismissed }` each, where kind is
+ *     'rule' (the steps of a per-site rule), 'consent' or 'cookie'
+ *   - dismissed: whether every detected banner went away (true when none was found)
+ *   - cmp: the consent platform that was recognized, see handleConsentPlatform()
+ *   - language: the language whose button texts were used
+ *   - elapsedMs and timing (totalMs, budgetMs, exhausted and ms per phase)
+ *   - errors: messages of clicks, rule steps and API calls that failed
  */
-async function handleDisclaimers(page, timeout = 10000) {
+async function handleDisclaimers(page, timeout = DEFAULT_BUDGET, options = {}) {
   console.log('🔍 Checking for disclaimers...');
+  const budget = createBudget(timeout);
+  const phases = {};
+  let phase = null;
+  const timed = async (name, task) => {
+    const start = Date.now();
+    phase = name;
+    try {
+      return await task();
+    } finally {
+      phases[name] = Date.now() - start;
+    }
+  };
+  const detected = [];
+  const errors = [];
+  let cmp = null;
+  let language = null;
   
   try {
-    // Wait for page to load and check for disclaimers
-    await page.waitForLoadState('networkidle', { timeout });
-    
-    // Handle Consent Disclaimer - click "I am a Healthcare Professional"
-    await handleConsentDisclaimer(page);
-    
-    // Handle Cookie Disclaimer - click "Ok"
-    await handleCookieDisclaimer(page);
-    
-    console.log('✅ Disclaimers handled successfully');
+    // Let late banners load, but check pages that never go idle anyway
+    await timed('load', async () => {
+      try {
+        await page.waitForLoadState('networkidle', { timeout: budget.cap(SETTLE_TIMEOUT) });
+      } catch (error) {
+        console.log('⏳ Network still busy, checking for disclaimers anyway');
+      }
+    });
+
+    // Button texts in the page's language, from its lang attribute or URL
+    const texts = options.texts || DISCLAIMER_TEXTS;
+    language = pickLanguage(await getPageLang(page), page.url(), texts);
+    const localized = {
+      consent: getTextSelectors(texts[language] && texts[language].consent),
+      cookie: getTextSelectors(texts[language] && texts[language].cookie)
+    };
+    if (language !== DEFAULT_LANGUAGE) {
+      console.log(`🌐 Matching disclaimer buttons in "${language}"`);
+    }
+
+    // Site-specific rules first, then the generic handlers with the rules' selectors in front
+    const rules = findRules(options.rules, page.url());
+    const ruleFor = (selector, key) => rules.find(rule => rule[key].includes(selector));
+    await timed('rules', async () => {
+      for (const rule of rules.filter(rule => rule.steps.length > 0)) {
+        const error = await applyRule(page, rule, budget);
+        detected.push({ kind: 'rule', rule: rule.name, selector: null, platform: null, frame: null, dismissed: !error });
+        if (error) {
+          errors.push(`Rule "${rule.name}": ${error}`);
+        }
+      }
+    });
+
+    if (rules.every(rule => rule.defaults)) {
+      // Handle Consent Disclaimer - click "I am a Healthcare Professional"
+      await timed('consent', async () => {
+        const clicked = await handleConsentDisclaimer(page, [...rules.flatMap(rule => rule.consentSelectors), ...localized.consent, ...CONSENT_SELECTORS], budget, errors);
+        if (clicked) {
+          const rule = ruleFor(clicked.selector, 'consentSelectors');
+          detected.push({ kind: 'consent', rule: rule ? rule.name : null, selector: clicked.selector, platform: null, frame: clicked.frame, dismissed: clicked.dismissed });
+        }
+      });
+
+      // Handle Cookie Disclaimer - the rules' selectors, then the consent platform or the generic "Ok"
+      await timed('cookie', async () => {
+        const ruleSelectors = rules.flatMap(rule => rule.cookieSelectors);
+        let clicked = ruleSelectors.length > 0 ?
+          await clickDisclaimer(page, ruleSelectors, '🍪', 'cookie disclaimer', 'Ok', budget, errors) :
+          null;
+        if (!clicked) {
+          const platform = await detectConsentPlatform(page);
+          if (platform) {
+            cmp = await handleConsentPlatform(page, platform, options.cmpAction, budget, errors);
+            // A platform without a banner (consent already stored) is recorded in cmp only
+            if (cmp.method !== 'none' || !cmp.dismissed) {
+              detected.push({ kind: 'cookie', rule: null, selector: null, platform: cmp.id, frame: cmp.frame, dismissed: cmp.dismissed });
+            }
+            return;
+          }
+          clicked = await handleCookieDisclaimer(page, [...localized.cookie, ...COOKIE_SELECTORS], budget, errors);
+        }
+        if (clicked) {
+          const rule = ruleFor(clicked.selector, 'cookieSelectors');
+          detected.push({ kind: 'cookie', rule: rule ? rule.name : null, selector: clicked.selector, platform: null, frame: clicked.frame, dismissed: clicked.dismissed });
+        }
+      });
+    }
   } catch (error) {
-    console.log('ℹ️ No disclaimers found or already handled');
+    // Page closed, crashed or navigated away in the middle of the pass
+    errors.push(`${phase || 'setup'}: ${error.message.split('\n')[0]}`);
+  }
+
+  const timing = { totalMs: budget.elapsed(), budgetMs: budget.ms, exhausted: budget.remaining() === 0, phases };
+  if (timing.exhausted) {
+    errors.push(`Time budget of ${budget.ms}ms used up`);
+  }
+  const result = {
+    detected,
+    dismissed: detected.every(banner => banner.dismissed),
+    cmp,
+    language,
+    elapsedMs: timing.totalMs,
+    timing,
+    errors
+  };
+
+  if (detected.length === 0 && errors.length === 0) {
+    console.log('ℹ️ No disclaimers found');
+  } else if (detected.length === 0) {
+    console.warn('⚠️  No disclaimers found, but the check had errors:');
+  } else if (result.dismissed) {
+    console.log(`✅ Disclaimers dismissed: ${detected.map(describeBanner).join(', ')}`);
+  } else {
+    console.warn(`⚠️  Disclaimer gate not passed: ${detected.map(describeBanner).join(', ')}`);
   }
+  errors.forEach(message => console.warn(`⚠️  ${message}`));
+  const breakdown = Object.entries(phases).map(([name, ms]) => `${name} ${ms}ms`).join(', ');
+  console.log(`⏱️  Disclaimer handling took ${timing.totalMs}ms (${breakdown})`);
+  return result;
 }
 
 /**
- * Handle Consent Disclaimer by clicking "I am a Healthcare Professional"
+ * Build the result of a disclaimer pass that could not run, e.g. because the
+ * page did not load, in the shape handleDisclaimers() returns
+ * @param {string} stage - What was being done, for the error message
+ * @param {Error} error - What went wrong
+ * @returns {Object} Result with nothing detected, `timing` null and the error in `errors`
+ */
+function getFailedDisclaimerResult(stage, error) {
+  return {
+    detected: [],
+    dismissed: false,
+    cmp: null,
+    language: null,
+    elapsedMs: null,
+    timing: null,
+    errors: [`${stage}: ${error.message.split('\n')[0]}`]
+  };
+}
+
+/**
+ * Sum up a handleDisclaimers() result in one word: 'passed' (every banner
+ * found was dismissed), 'blocked' (one stayed), 'none' (nothing found) or
+ * 'error' (nothing found, but the check failed)
+ * @param {Object} result - Result of handleDisclaimers()
+ * @returns {string}
+ */
+function getDisclaimerStatus(result) {
+  if (result.detected.length === 0) {
+    return result.errors.length > 0 ? 'error' : 'none';
+  }
+  return result.dismissed ? 'passed' : 'blocked';
+}
+
+/**
+ * Describe a detected banner, e.g. 'cookie: OneTrust in main frame',
+ * 'consent: text="I am a Healthcare Professional" in main frame' or 'rule "HCP gate"'
+ * @param {Object} banner - Entry of the `detected` list of handleDisclaimers()
+ * @returns {string}
+ */
+function describeBanner(banner) {
+  if (banner.kind === 'rule') {
+    return `rule "${banner.rule}"${banner.dismissed ? '' : ' ⚠️ did not complete'}`;
+  }
+  const match = banner.platform ? (CONSENT_PLATFORMS[banner.platform] || { label: banner.platform }).label :
+    `${banner.selector}${banner.rule ? ` (rule "${banner.rule}")` : ''}`;
+  return `${banner.kind}: ${match}${banner.frame ? ` in ${banner.frame}` : ''}${banner.dismissed ? '' : ' ⚠️ still visible'}`;
+}
+
+/**
+ * Read the lang attribute of the page's root element
  * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<string|null>}
  */
-async function handleConsentDisclaimer(page) {
+async function getPageLang(page) {
   try {
-    // Common selectors for consent disclaimer buttons
-    const consentSelectors = [
-      'text="I am a Healthcare Professional"',
-      'text="I am a Healthcare Professional" >> button',
-      'text="I am a Healthcare Professional" >> a',
-      'button:has-text("I am a Healthcare Professional")',
-      'button:has-text("Healthcare Professional")',
-      'button:has-text("Healthcare")',
-      'a:has-text("I am a Healthcare Professional")',
-      'a:has-text("Healthcare Professional")',
-      'a:has-text("Healthcare")',
-      '[data-testid*="consent"] button:has-text("Healthcare Professional")',
-      '[data-testid*="consent"] button:has-text("Healthcare")',
-      '[data-testid*="healthcare"] button',
-      '.consent-button:has-text("Healthcare Professional")',
-      '.consent-button:has-text("Healthcare")',
-      '.healthcare-button',
-      '#consent-button:has-text("Healthcare Professional")',
-      '#consent-button:has-text("Healthcare")',
-      '#healthcare-button',
-      '[role="button"]:has-text("Healthcare Professional")',
-      '[role="button"]:has-text("Healthcare")',
-      '[class*="consent"] button:has-text("Healthcare")',
-      '[class*="healthcare"] button',
-      '[id*="consent"] button:has-text("Healthcare")',
-      '[id*="healthcare"] button'
-    ];
-
-    for (const selector of consentSelectors) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible({ timeout: 2000 })) {
-          console.log('🏥 Found consent disclaimer, clicking "I am a Healthcare Professional"');
-          await element.click();
-          await page.waitForTimeout(1000); // Wait for dialog to close
-          return;
+    return await page.evaluate(() => document.documentElement.getAttribute('lang'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Recognize the consent management platform of a page by its banner markers
+ * or its JavaScript API, in the main frame first and then in the iframes.
+ * Each frame costs one query for all markers and one for all globals; a
+ * global shared with other platforms costs one more for its globalMarkers.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<{id: string, frame: import('playwright').Frame}|null>}
+ */
+async function detectConsentPlatform(page) {
+  const platforms = Object.entries(CONSENT_PLATFORMS);
+  const markers = platforms.flatMap(([id, platform]) => platform.markers.map(selector => ({ id, selector })));
+  const globals = platforms.filter(([, platform]) => platform.global)
+    .map(([id, platform]) => ({ id, name: platform.global, markers: platform.globalMarkers || null }));
+
+  for (const frame of getFrames(page)) {
+    try {
+      const marker = await findFirst(frame, markers.map(({ selector }) => selector), false);
+      if (marker) {
+        return { id: markers[marker.index].id, frame };
+      }
+      const names = await frame.evaluate(names => names.filter(name => typeof window[name] !== 'undefined'), globals.map(({ name }) => name));
+      for (const global of globals.filter(({ name }) => names.includes(name))) {
+        if (!global.markers || await findFirst(frame, global.markers, false)) {
+          return { id: global.id, frame };
         }
-      } catch (e) {
-        // Continue to next selector
       }
+    } catch (e) {
+      // Frame navigated or detached while checking; try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Answer the banner of a recognized consent platform: click its accept (or
+ * reject) button, and call the platform's API when no button is visible or
+ * the click did not close the banner
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {{id: string, frame: import('playwright').Frame}} detected - Result of detectConsentPlatform()
+ * @param {string} [action] - 'accept' (default) or 'reject'
+ * @param {Object} [budget] - Time budget from createBudget() (default: 10s)
+ * @param {string[]} [errors] - Failed clicks and API calls are added here
+ * @returns {Promise<{id: string, name: string, frame: string, action: string, method: string, dismissed: boolean}>}
+ *   `method` is 'button', 'api' or 'none' (the banner was not shown, e.g. consent was already stored)
+ */
+async function handleConsentPlatform(page, detected, action = 'accept', budget = createBudget(DEFAULT_BUDGET), errors = []) {
+  const { id, frame } = detected;
+  const platform = CONSENT_PLATFORMS[id];
+  const result = { id, name: platform.label, frame: describeFrame(frame), action, method: 'none', dismissed: true };
+  console.log(`🍪 Recognized ${platform.label} in ${result.frame}`);
+
+  try {
+    const button = await findFirst(frame, platform[action]);
+    if (button) {
+      console.log(`🍪 Clicking the ${platform.label} ${action} button`);
+      await button.element.click({ timeout: budget.cap(STEP_TIMEOUT) });
+      result.method = 'button';
+      result.dismissed = await isDismissed(frame, button.element, budget.cap(DISMISS_TIMEOUT));
     }
   } catch (error) {
-    console.log('ℹ️ No consent disclaimer found');
+    // Fall back to the API below
+    errors.push(`${platform.label} ${action} button: ${error.message.split('\n')[0]}`);
+  }
+
+  // The banner is the first marker; its buttons tell whether it is still up
+  const banner = [platform.markers[0], ...platform.accept, ...platform.reject];
+  if (result.method === 'none' && await findFirst(frame, banner).catch(() => null)) {
+    result.dismissed = false;
+  }
+
+  if (platform.api && !result.dismissed) {
+    try {
+      console.log(`🍪 Calling the ${platform.label} API to ${action}`);
+      await frame.evaluate(platform.api[action]);
+      result.method = 'api';
+      const timeout = budget.cap(DISMISS_TIMEOUT);
+      result.dismissed = (await Promise.all(banner.map(selector => isDismissed(frame, frame.locator(selector).first(), timeout)))).every(Boolean);
+    } catch (error) {
+      console.warn(`⚠️  ${platform.label} API call failed: ${error.message.split('\n')[0]}`);
+      errors.push(`${platform.label} API: ${error.message.split('\n')[0]}`);
+      result.dismissed = false;
+    }
+  }
+
+  if (!result.dismissed) {
+    console.warn(`⚠️  The ${platform.label} banner in ${result.frame} is still visible`);
   }
+  return result;
+}
+
+/**
+ * Run the steps of a disclaimer rule in order. A failing step stops the
+ * rule (unless the step is `optional`) but not the disclaimer handling.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} rule - Rule from loadDisclaimerRules()
+ * @param {Object} [budget] - Time budget from createBudget() (default: 10s)
+ * @returns {Promise<string|null>} Why the rule stopped, or null when all its steps ran
+ */
+async function applyRule(page, rule, budget = createBudget(DEFAULT_BUDGET)) {
+  console.log(`📏 Applying disclaimer rule "${rule.name}"`);
+  for (const [index, step] of rule.steps.entries()) {
+    if (budget.remaining() === 0) {
+      console.warn(`⚠️  Disclaimer rule "${rule.name}" stopped before step ${index + 1} (${step.action}): time budget used up`);
+      return `stopped before step ${index + 1} (${step.action}): time budget used up`;
+    }
+    try {
+      await runRuleStep(page, step, budget);
+    } catch (error) {
+      if (step.optional) {
+        continue;
+      }
+      const reason = `stopped at step ${index + 1} (${step.action}): ${error.message.split('\n')[0]}`;
+      console.warn(`⚠️  Disclaimer rule "${rule.name}" ${reason}`);
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run one rule step. Its timeout (or wait) is cut to what is left of the budget.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} step - Step with action, selector/text, frame, ms and timeout
+ * @param {Object} budget - Time budget from createBudget()
+ */
+async function runRuleStep(page, step, budget) {
+  const timeout = budget.cap(step.timeout || STEP_TIMEOUT);
+  switch (step.action) {
+    case 'click':
+      return getStepLocator(page, step).click({ timeout });
+    case 'wait':
+      return page.waitForTimeout(Math.min(step.ms, budget.remaining()));
+    case 'waitFor':
+      return getStepLocator(page, step).waitFor({ state: 'visible', timeout });
+    case 'disappear':
+      return getStepLocator(page, step).waitFor({ state: 'hidden', timeout });
+  }
+}
+
+/**
+ * Locate the element of a step by selector, by text, or by selector narrowed
+ * to a text. With `frame` the element is looked up in the first iframe whose
+ * URL contains that text or whose name equals it.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {{selector?: string, text?: string, exact?: boolean, frame?: string}} step - Rule step
+ * @returns {import('playwright').Locator}
+ */
+function getStepLocator(page, { selector, text, exact, frame }) {
+  let scope = page;
+  if (frame) {
+    scope = page.frames().find(candidate => candidate.parentFrame() && (candidate.name() === frame || candidate.url().includes(frame)));
+    if (!scope) {
+      throw new Error(`no iframe matches "${frame}"`);
+    }
+  }
+
+  if (!selector) {
+    return scope.getByText(text, { exact: Boolean(exact) }).first();
+  }
+  const locator = scope.locator(selector);
+  return (text === undefined ? locator : locator.filter({ hasText: text })).first();
+}
+
+/**
+ * Handle Consent Disclaimer by clicking "I am a Healthcare Professional"
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string[]} [selectors] - Selectors to try in order (default: CONSENT_SELECTORS)
+ * @param {Object} [budget] - Time budget from createBudget() (default: 10s)
+ * @param {string[]} [errors] - Failed clicks are added here
+ * @returns {Promise<{selector: string, frame: string, dismissed: boolean}|null>} What was clicked, or null
+ */
+async function handleConsentDisclaimer(page, selectors = CONSENT_SELECTORS, budget = createBudget(DEFAULT_BUDGET), errors = []) {
+  const failures = errors.length;
+  const clicked = await clickDisclaimer(page, selectors, '🏥', 'consent disclaimer', 'I am a Healthcare Professional', budget, errors);
+  if (!clicked && errors.length === failures) {
+    console.log(budget.remaining() === 0 ? '⏱️ No time left to look for a consent disclaimer' : 'ℹ️ No consent disclaimer found');
+  }
+  return clicked;
 }
 
 /**
  * Handle Cookie Disclaimer by clicking "Ok"
  * @param {import('playwright').Page} page - Playwright page object
+ * @param {string[]} [selectors] - Selectors to try in order (default: COOKIE_SELECTORS)
+ * @param {Object} [budget] - Time budget from createBudget() (default: 10s)
+ * @param {string[]} [errors] - Failed clicks are added here
+ * @returns {Promise<{selector: string, frame: string, dismissed: boolean}|null>} What was clicked, or null
  */
-async function handleCookieDisclaimer(page) {
-  try {
-    // Common selectors for cookie disclaimer buttons
-    const cookieSelectors = [
-      'text="Ok"',
-      'text="OK"',
-      'text="Accept"',
-      'text="Accept All"',
-      'text="Accept All Cookies"',
-      'text="Accept Cookies"',
-      'text="I Accept"',
-      'text="Got it"',
-      'text="Close"',
-      'text="Continue"',
-      'text="Proceed"',
-      'text="Agree"',
-      'text="I Agree"',
-      'text="Allow"',
-      'text="Allow All"',
-      'button:has-text("Ok")',
-      'button:has-text("OK")',
-      'button:has-text("Accept")',
-      'button:has-text("Accept All")',
-      'button:has-text("Accept All Cookies")',
-      'button:has-text("Accept Cookies")',
-      'button:has-text("I Accept")',
-      'button:has-text("Got it")',
-      'button:has-text("Close")',
-      'button:has-text("Continue")',
-      'button:has-text("Proceed")',
-      'button:has-text("Agree")',
-      'button:has-text("I Agree")',
-      'button:has-text("Allow")',
-      'button:has-text("Allow All")',
-      'a:has-text("Ok")',
-      'a:has-text("OK")',
-      'a:has-text("Accept")',
-      'a:has-text("Accept All")',
-      'a:has-text("Accept All Cookies")',
-      'a:has-text("Accept Cookies")',
-      'a:has-text("I Accept")',
-      'a:has-text("Got it")',
-      'a:has-text("Close")',
-      'a:has-text("Continue")',
-      'a:has-text("Proceed")',
-      'a:has-text("Agree")',
-      'a:has-text("I Agree")',
-      'a:has-text("Allow")',
-      'a:has-text("Allow All")',
-      '[data-testid*="cookie"] button:has-text("Ok")',
-      '[data-testid*="cookie"] button:has-text("Accept")',
-      '[data-testid*="cookie"] button:has-text("Accept All Cookies")',
-      '[data-testid*="cookie"] button:has-text("Allow")',
-      '[data-testid*="consent"] button:has-text("Ok")',
-      '[data-testid*="consent"] button:has-text("Accept")',
-      '[data-testid*="consent"] button:has-text("Accept All Cookies")',
-      '[data-testid*="consent"] button:has-text("Allow")',
-      '.cookie-button:has-text("Ok")',
-      '.cookie-button:has-text("Accept")',
-      '.cookie-button:has-text("Accept All Cookies")',
-      '.cookie-button:has-text("Allow")',
-      '.consent-button:has-text("Ok")',
-      '.consent-button:has-text("Accept")',
-      '.consent-button:has-text("Accept All Cookies")',
-      '.consent-button:has-text("Allow")',
-      '#cookie-accept:has-text("Ok")',
-      '#cookie-accept:has-text("Accept")',
-      '#cookie-accept:has-text("Accept All Cookies")',
-      '#cookie-accept:has-text("Allow")',
-      '#consent-accept:has-text("Ok")',
-      '#consent-accept:has-text("Accept")',
-      '#consent-accept:has-text("Accept All Cookies")',
-      '#consent-accept:has-text("Allow")',
-      '[role="button"]:has-text("Ok")',
-      '[role="button"]:has-text("Accept")',
-      '[role="button"]:has-text("Accept All Cookies")',
-      '[role="button"]:has-text("Allow")',
-      '[class*="cookie"] button:has-text("Ok")',
-      '[class*="cookie"] button:has-text("Accept")',
-      '[class*="cookie"] button:has-text("Accept All Cookies")',
-      '[class*="cookie"] button:has-text("Allow")',
-      '[class*="consent"] button:has-text("Ok")',
-      '[class*="consent"] button:has-text("Accept")',
-      '[class*="consent"] button:has-text("Accept All Cookies")',
-      '[class*="consent"] button:has-text("Allow")',
-      '[id*="cookie"] button:has-text("Ok")',
-      '[id*="cookie"] button:has-text("Accept")',
-      '[id*="cookie"] button:has-text("Accept All Cookies")',
-      '[id*="cookie"] button:has-text("Allow")',
-      '[id*="consent"] button:has-text("Ok")',
-      '[id*="consent"] button:has-text("Accept")',
-      '[id*="consent"] button:has-text("Accept All Cookies")',
-      '[id*="consent"] button:has-text("Allow")'
-    ];
-
-    for (const selector of cookieSelectors) {
+async function handleCookieDisclaimer(page, selectors = COOKIE_SELECTORS, budget = createBudget(DEFAULT_BUDGET), errors = []) {
+  const failures = errors.length;
+  const clicked = await clickDisclaimer(page, selectors, '🍪', 'cookie disclaimer', 'Ok', budget, errors);
+  if (!clicked && errors.length === failures) {
+    console.log(budget.remaining() === 0 ? '⏱️ No time left to look for a cookie disclaimer' : 'ℹ️ No cookie disclaimer found');
+  }
+  return clicked;
+}
+
+/**
+ * Click the first visible disclaimer button, searching the main frame first
+ * and then every iframe (cross-origin ones included). Playwright's CSS and
+ * text selectors reach into open shadow roots, so banners rendered in a web
+ * component are found too. After the click the button has to go away; if it
+ * stays, the selectors after it are tried.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string[]} selectors - Selectors to try in order
+ * @param {string} icon - Log icon
+ * @param {string} kind - Disclaimer kind, for the log
+ * @param {string} button - Button text, for the log
+ * @param {Object} [budget] - Time budget from createBudget() (default: 10s)
+ * @param {string[]} [errors] - Failed searches and clicks are added here
+ * @returns {Promise<{selector: string, frame: string, dismissed: boolean}|null>} The last button clicked
+ *   (or found but not clickable), null when none was visible
+ */
+async function clickDisclaimer(page, selectors, icon, kind, button, budget = createBudget(DEFAULT_BUDGET), errors = []) {
+  let clicked = null;
+  for (const frame of getFrames(page)) {
+    const where = describeFrame(frame);
+    let candidates = selectors;
+    while (candidates.length > 0 && budget.remaining() > 0) {
+      let found;
       try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible({ timeout: 2000 })) {
-          console.log('🍪 Found cookie disclaimer, clicking "Ok"');
-          await element.click();
-          await page.waitForTimeout(1000); // Wait for dialog to close
-          return;
+        found = await findFirst(frame, candidates);
+      } catch (error) {
+        // An iframe that went away is no error; the main frame failing is
+        if (!frame.isDetached()) {
+          errors.push(`${kind} in ${where}: ${error.message.split('\n')[0]}`);
         }
-      } catch (e) {
-        // Continue to next selector
+        break;
+      }
+      if (!found) {
+        break;
+      }
+      candidates = candidates.slice(found.index + 1);
+
+      clicked = { selector: found.selector, frame: where, dismissed: false };
+      try {
+        console.log(`${icon} Found ${kind} in ${where}, clicking "${button}"`);
+        await found.element.click({ timeout: budget.cap(STEP_TIMEOUT) });
+        clicked.dismissed = await isDismissed(frame, found.element, budget.cap(DISMISS_TIMEOUT));
+        if (clicked.dismissed) {
+          return clicked;
+        }
+        console.warn(`⚠️  The ${kind} in ${where} is still visible after clicking ${found.selector}`);
+      } catch (error) {
+        // Continue with the next selectors
+        errors.push(`${kind} in ${where}: clicking ${found.selector} failed: ${error.message.split('\n')[0]}`);
       }
     }
+  }
+  return clicked;
+}
+
+/**
+ * Find the first selector, in order, that matches in a frame. One combined
+ * query checks all of them; only when it matches are they counted one by one
+ * (in parallel) to pick the first. Frames without a match, which is most of
+ * them, cost a single round trip.
+ * @param {import('playwright').Frame} frame - Frame to search
+ * @param {string[]} selectors - Selectors in order of preference
+ * @param {boolean} [visible] - Only count visible elements (default: true)
+ * @returns {Promise<{index: number, selector: string, element: import('playwright').Locator}|null>}
+ *   `element` is the first (visible) match of the selector
+ * @throws When no selector could be checked at all, e.g. because the page closed
+ */
+async function findFirst(frame, selectors, visible = true) {
+  if (selectors.length === 0) {
+    return null;
+  }
+  const candidates = selectors.map(selector => frame.locator(visible ? `${selector} >> visible=true` : selector));
+
+  // A selector the engine rejects fails the combined query; count one by one then
+  let failure = null;
+  const total = await candidates.reduce((all, candidate) => all.or(candidate)).count().catch(error => {
+    failure = error;
+    return null;
+  });
+  if (total === 0) {
+    return null;
+  }
+  const counts = await Promise.all(candidates.map(candidate => candidate.count().catch(() => null)));
+  if (failure && counts.every(count => count === null)) {
+    throw failure;
+  }
+  const index = counts.findIndex(count => count > 0);
+  return index === -1 ? null : { index, selector: selectors[index], element: candidates[index].first() };
+}
+
+/**
+ * List the frames to search: the main frame first, then the iframes in document order
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {import('playwright').Frame[]}
+ */
+function getFrames(page) {
+  const main = page.mainFrame();
+  return [main, ...page.frames().filter(frame => frame !== main)];
+}
+
+/**
+ * Describe a frame for logs and results, e.g. 'main frame' or 'iframe "cmp" (https://cmp.example/banner)'
+ * @param {import('playwright').Frame} frame - Playwright frame
+ * @returns {string}
+ */
+function describeFrame(frame) {
+  if (!frame.parentFrame()) {
+    return 'main frame';
+  }
+  return `iframe ${frame.name() ? `"${frame.name()}" ` : ''}(${frame.url()})`;
+}
+
+/**
+ * Wait for a clicked disclaimer button to go away. A banner iframe that is
+ * removed takes the button with it, which counts as dismissed too.
+ * @param {import('playwright').Frame} frame - Frame the button is in
+ * @param {import('playwright').Locator} element - Clicked button
+ * @param {number} [timeout] - Time to wait (default: 3000)
+ * @returns {Promise<boolean>}
+ */
+async function isDismissed(frame, element, timeout = DISMISS_TIMEOUT) {
+  try {
+    await element.waitFor({ state: 'hidden', timeout });
+    return true;
   } catch (error) {
-    console.log('ℹ️ No cookie disclaimer found');
+    return frame.isDetached();
   }
 }
 
+// Common disclaimer indicators checked by hasDisclaimers()
+const DISCLAIMER_INDICATORS = [
+  'text="I am a Healthcare Professional"',
+  'text="Ok"',
+  'text="Accept"',
+  'text="Accept All"',
+  'text="Accept Cookies"',
+  'text="Got it"',
+  'text="Close"',
+  '[data-testid*="consent"]',
+  '[data-testid*="cookie"]',
+  '.consent-dialog',
+  '.cookie-banner',
+  '.disclaimer',
+  '.modal'
+];
+
 /**
- * Check if any disclaimers are visible on the page
+ * Check if any disclaimers are visible on the page or in one of its iframes
  * @param {import('playwright').Page} page - Playwright page object
  * @returns {Promise<boolean>} - True if disclaimers are found
  */
 async function hasDisclaimers(page) {
   try {
-    // Check for common disclaimer indicators
-    const disclaimerIndicators = [
-      'text="I am a Healthcare Professional"',
-      'text="Ok"',
-      'text="Accept"',
-      'text="Accept All"',
-      'text="Accept Cookies"',
-      'text="Got it"',
-      'text="Close"',
-      '[data-testid*="consent"]',
-      '[data-testid*="cookie"]',
-      '.consent-dialog',
-      '.cookie-banner',
-      '.disclaimer',
-      '.modal'
-    ];
-
-    for (const selector of disclaimerIndicators) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible({ timeout: 1000 })) {
-          return true;
-        }
-      } catch (e) {
-        // Continue to next selector
+    for (const frame of getFrames(page)) {
+      if (await findFirst(frame, DISCLAIMER_INDICATORS)) {
+        return true;
       }
     }
     return false;
@@ -254,5 +739,14 @@ module.exports = {
   handleDisclaimers,
   handleConsentDisclaimer,
   handleCookieDisclaimer,
-  hasDisclaimers
+  hasDisclaimers,
+  detectConsentPlatform,
+  handleConsentPlatform,
+  getDisclaimerStatus,
+  getFailedDisclaimerResult,
+  describeBanner,
+  createBudget,
+  findFirst,
+  CONSENT_SELECTORS,
+  COOKIE_SELECTORS
 };
@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Per-site disclaimer rules
+ *
+ * The generic selectors in disclaimer-handler.js cover most HCP gates and
+ * cookie banners. Sites that need more (a region picker before the HCP
+ * button, a two-step gate, a banner that fades out slowly) get a rule in a
+ * JSON file instead of code:
+ *
+ * {
+ *   "rules": [
+ *     {
+ *       "name": "Example HCP gate",
+ *       "domain": "example-pharma.com",
+ *       "steps": [
+ *         { "action": "click", "selector": "#region-us", "optional": true },
+ *         { "action": "wait", "ms": 500 },
+ *         { "action": "click", "text": "I am a US Healthcare Professional" },
+ *         { "action": "disappear", "selector": ".hcp-modal" }
+ *       ],
+ *       "cookieSelectors": ["#cookie-banner .ok"]
+ *     }
+ *   ]
+ * }
+ *
+ * A rule matches by `domain` (a host name or a list of them, subdomains
+ * included) or by `pattern` (a regular expression tested against the full
+ * URL). The steps of every matching rule run in file order, then the generic
+ * handlers run with the rule's `consentSelectors` and `cookieSelectors` tried
+ * before the built-in ones. `"defaults": false` skips the generic handlers.
+ *
+ * A failing step stops its rule, unless it is marked `"optional": true`: then
+ * the rule goes on with the next step, e.g. for a region picker that only
+ * shows up on the first visit. Steps wait up to 5 seconds for their element;
+ * `timeout` (ms) changes that.
+ */
+
+/**
+ * Supported step actions with their required fields. click, waitFor and
+ * disappear take a `selector`, a `text` or both, and optionally a `frame`
+ * (iframe name or part of its URL) when the banner lives in an iframe. wait
+ * takes `ms`, a number of milliseconds of 0 or more.
+ */
+const STEP_ACTIONS = {
+  click: ['selector|text'],
+  wait: ['ms'],
+  waitFor: ['selector|text'],
+  disappear: ['selector|text']
+};
+
+/**
+ * Get the rules file used when none is given
+ * @returns {string}
+ */
+function getDefaultRulesPath() {
+  return path.join(__dirname, '..', 'data', 'disclaimer-rules.json');
+}
+
+/**
+ * Check that a value is a list of non-empty strings
+ * @param {*} value - Value from the rules file
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Validate one rule and compile its pattern
+ * @param {Object} rule - Rule as written in the file
+ * @param {string} where - Location used in error messages
+ * @returns {Object} Rule with `domains` (lowercase list) and `pattern` (RegExp or null)
+ */
+function parseRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const domains = rule.domain === undefined ? [] : [].concat(rule.domain);
+  if (!isStringList(domains)) {
+    throw new Error(`${where} "domain" must be a host name or a list of host names`);
+  }
+
+  let pattern = null;
+  if (rule.pattern !== undefined) {
+    try {
+      pattern = new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      throw new Error(`${where} has an invalid pattern: ${error.message}`);
+    }
+  }
+
+  if (domains.length === 0 && !pattern) {
+    throw new Error(`${where} needs a "domain" or a "pattern"`);
+  }
+
+  for (const key of ['consentSelectors', 'cookieSelectors']) {
+    if (rule[key] !== undefined && !isStringList(rule[key])) {
+      throw new Error(`${where} "${key}" must be a list of selectors`);
+    }
+  }
+
+  const steps = rule.steps || [];
+  if (!Array.isArray(steps)) {
+    throw new Error(`${where} "steps" must be a list`);
+  }
+  steps.forEach((step, index) => {
+    const required = step && STEP_ACTIONS[step.action];
+    if (!required) {
+      throw new Error(`${where} steps[${index}] has an unknown action "${step && step.action}". Expected: ${Object.keys(STEP_ACTIONS).join(', ')}`);
+    }
+    const missing = required.filter(fields => fields.split('|').every(field => step[field] === undefined));
+    if (missing.length > 0) {
+      throw new Error(`${where} steps[${index}] (${step.action}) needs ${missing.map(fields => fields.replace('|', ' or ')).join(', ')}`);
+    }
+    if (step.frame !== undefined && !(typeof step.frame === 'string' && step.frame.trim())) {
+      throw new Error(`${where} steps[${index}] frame must be an iframe name or part of its URL`);
+    }
+    if (step.action === 'wait' && !(Number.isFinite(step.ms) && step.ms >= 0)) {
+      throw new Error(`${where} steps[${index}] (wait) ms must be a number of milliseconds of 0 or more`);
+    }
+    if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+      throw new Error(`${where} steps[${index}] timeout must be a positive number of milliseconds`);
+    }
+    if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+      throw new Error(`${where} steps[${index}] optional must be true or false`);
+    }
+  });
+
+  return {
+    name: rule.name || domains[0] || rule.pattern,
+    domains: domains.map(domain => domain.trim().toLowerCase()),
+    pattern,
+    steps,
+    consentSelectors: rule.consentSelectors || [],
+    cookieSelectors: rule.cookieSelectors || [],
+    defaults: rule.defaults !== false
+  };
+}
+
+/**
+ * Load and validate a disclaimer rules file. Without a path the default
+ * file is used when it exists.
+ * @param {string|null} [filePath] - Path to the rules JSON file
+ * @returns {Promise<Array>} Parsed rules, in file order
+ */
+async function loadDisclaimerRules(filePath) {
+  const file = filePath || getDefaultRulesPath();
+  if (!filePath && !await fs.pathExists(file)) {
+    return [];
+  }
+
+  let config;
+  try {
+    config = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read disclaimer rules ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(config.rules)) {
+    throw new Error(`${file} needs a "rules" list`);
+  }
+
+  return config.rules.map((rule, index) => parseRule(rule, `${file} rules[${index}]`));
+}
+
+/**
+ * Find the rules that apply to a URL
+ * @param {Array} rules - Result of loadDisclaimerRules()
+ * @param {string} url - Page URL
+ * @returns {Array} Matching rules, in file order
+ */
+function findRules(rules, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return [];
+  }
+
+  return (rules || []).filter(rule =>
+    rule.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`)) ||
+    (rule.pattern && rule.pattern.test(url))
+  );
+}
+
+module.exports = {
+  loadDisclaimerRules,
+  findRules,
+  getDefaultRulesPath,
+  STEP_ACTIONS
+};
@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Localized disclaimer button texts
+ *
+ * The generic selectors in disclaimer-handler.js are English. Pages in other
+ * languages are matched by the button texts of their language, picked from
+ * the page's `lang` attribute or, when that is missing or unknown, from the
+ * locale in the URL (`/de/`, `/fr-fr/`, `/cl-es/`, `/es.html`, `?lang=it`).
+ *
+ * Texts match the whole text of an element, ignoring case and extra
+ * whitespace. Consent texts name the profession: a bare "Yes" would also
+ * match the buttons of unrelated dialogs. More texts or languages come from
+ * a JSON file:
+ *
+ * {
+ *   "languages": {
+ *     "de": { "cookie": ["Cookies erlauben"] },
+ *     "sv": { "consent": ["Jag är hälso- och sjukvårdspersonal"], "cookie": ["Acceptera alla"] }
+ *   }
+ * }
+ *
+ * Languages are primary language subtags (`de`, not `de-CH`). Texts from the
+ * file are tried before the built-in ones.
+ */
+
+const TEXT_KINDS = ['consent', 'cookie'];
+
+// Language used when neither the page nor its URL names a known one
+const DEFAULT_LANGUAGE = 'en';
+
+const DISCLAIMER_TEXTS = {
+  en: {
+    consent: ['I am a Healthcare Professional', 'I\'m a Healthcare Professional', 'Yes, I am a Healthcare Professional', 'I am a Healthcare Practitioner'],
+    cookie: ['Accept All Cookies', 'Accept All', 'Accept Cookies', 'Accept', 'Allow All', 'I Agree', 'Got it', 'Ok']
+  },
+  de: {
+    consent: ['Ich bin medizinische Fachkraft', 'Ich bin Angehöriger der Fachkreise', 'Ich bin ein Angehöriger der Fachkreise', 'Ich gehöre zu den Fachkreisen', 'Ja, ich bin Fachkreisangehöriger'],
+    cookie: ['Alle Cookies akzeptieren', 'Alle akzeptieren', 'Akzeptieren', 'Alle zulassen', 'Zustimmen', 'Einverstanden', 'Verstanden', 'OK']
+  },
+  fr: {
+    consent: ['Je suis un professionnel de santé', 'Je suis professionnel de santé', 'Je suis un professionnel de la santé', 'Oui, je suis un professionnel de santé'],
+    cookie: ['Accepter tous les cookies', 'Tout accepter', 'Accepter tout', 'Accepter les cookies', 'Accepter', 'J\'accepte', 'D\'accord', 'OK']
+  },
+  es: {
+    consent: ['Soy profesional sanitario', 'Soy un profesional sanitario', 'Soy profesional de la salud', 'Soy un profesional de la salud'],
+    cookie: ['Aceptar todas las cookies', 'Aceptar todo', 'Aceptar todas', 'Aceptar cookies', 'Aceptar', 'Acepto', 'Entendido', 'De acuerdo']
+  },
+  it: {
+    consent: ['Sono un operatore sanitario', 'Sono un professionista sanitario', 'Dichiaro di essere un operatore sanitario'],
+    cookie: ['Accetta tutti i cookie', 'Accetta tutto', 'Accetta tutti', 'Accetta', 'Accetto', 'Ho capito', 'OK']
+  },
+  nl: {
+    consent: ['Ik ben een zorgprofessional', 'Ik ben zorgprofessional', 'Ik ben een zorgverlener', 'Ik ben beroepsbeoefenaar in de gezondheidszorg'],
+    cookie: ['Alle cookies accepteren', 'Alles accepteren', 'Accepteren', 'Alles toestaan', 'Akkoord', 'Ik ga akkoord', 'OK']
+  },
+  pt: {
+    consent: ['Sou profissional de saúde', 'Sou um profissional de saúde', 'Sim, sou profissional de saúde'],
+    cookie: ['Aceitar todos os cookies', 'Aceitar tudo', 'Aceitar todos', 'Aceitar cookies', 'Aceitar', 'Concordo', 'Entendi', 'OK']
+  },
+  ja: {
+    consent: ['私は医療関係者です', 'はい、医療関係者です', '医療関係者です', '医療従事者です'],
+    cookie: ['すべてのCookieを受け入れる', 'すべて同意する', '同意して閉じる', '同意する', '同意します', '承諾する', 'OK']
+  }
+};
+
+/**
+ * Get the texts file used when none is given
+ * @returns {string}
+ */
+function getDefaultTextsPath() {
+  return path.join(__dirname, '..', 'data', 'disclaimer-texts.json');
+}
+
+/**
+ * Reduce a language tag to its primary subtag, e.g. 'de-CH' -> 'de'
+ * @param {string} tag - Language tag from a lang attribute or URL
+ * @returns {string|null}
+ */
+function getPrimaryLanguage(tag) {
+  const match = typeof tag === 'string' && tag.trim().match(/^([a-z]{2,3})(?:[-_][a-z0-9]{2,8})*$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * List the languages a locale may name. Both parts of a two-part locale are
+ * tried, as sites put the language first (`fr-fr`, `es-mx`) or second
+ * (`cl-es`, `latam-es`).
+ * @param {string} locale - Query parameter or path segment
+ * @returns {string[]} Candidate primary languages, in order
+ */
+function getLocaleLanguages(locale) {
+  const parts = (locale || '').split(/[-_]/);
+  if (parts.length === 2 && parts.every(part => /^[a-z]{2,5}$/i.test(part))) {
+    return parts.map(getPrimaryLanguage).filter(Boolean);
+  }
+  const language = getPrimaryLanguage(locale);
+  return language ? [language] : [];
+}
+
+/**
+ * Find the locale a URL names: a `lang`, `locale` or `hl` query parameter, or
+ * a path segment such as `/de/`, `/fr-fr/`, `/cl-es/` or `/es.html`
+ * @param {string} url - Page URL
+ * @param {Object} texts - Dictionary the language has to be in
+ * @returns {string|null} Primary language
+ */
+function getUrlLanguage(url, texts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const candidates = [
+    ...['lang', 'locale', 'hl'].map(name => parsed.searchParams.get(name)),
+    ...parsed.pathname.split('/').map(segment => segment.replace(/\.html?$/i, ''))
+  ];
+  return candidates.flatMap(getLocaleLanguages).find(language => texts[language]) || null;
+}
+
+/**
+ * Pick the language of a page
+ * @param {string|null} lang - The page's lang attribute
+ * @param {string} url - Page URL
+ * @param {Object} [texts] - Dictionary from loadDisclaimerTexts() (default: the built-in texts)
+ * @returns {string} A language of the dictionary, DEFAULT_LANGUAGE when none matches
+ */
+function pickLanguage(lang, url, texts = DISCLAIMER_TEXTS) {
+  const fromAttribute = getPrimaryLanguage(lang);
+  if (fromAttribute && texts[fromAttribute]) {
+    return fromAttribute;
+  }
+  return getUrlLanguage(url, texts) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Turn button texts into selectors matching an element's whole text,
+ * ignoring case and whitespace, e.g. 'Alle akzeptieren' becomes
+ * text=/^\s*Alle\s+akzeptieren\s*$/i
+ * @param {string[]} phrases - Button texts
+ * @returns {string[]}
+ */
+function getTextSelectors(phrases) {
+  return (phrases || []).map(phrase => {
+    const pattern = phrase.trim()
+      .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+      .replace(/\s+/g, '\\s+')
+      // Straight and typographic apostrophes are interchangeable
+      .replace(/['’]/g, '[\'’]');
+    return `text=/^\\s*${pattern}\\s*$/i`;
+  });
+}
+
+/**
+ * Check that a value is a list of non-empty strings
+ * @param {*} value - Value from the texts file
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Load extra texts and merge them into the built-in ones. Without a path
+ * the default file is used when it exists.
+ * @param {string|null} [filePath] - Path to the texts JSON file
+ * @returns {Promise<Object>} Texts per language, `{ de: { consent: [...], cookie: [...] }, ... }`
+ */
+async function loadDisclaimerTexts(filePath) {
+  const file = filePath || getDefaultTextsPath();
+  if (!filePath && !await fs.pathExists(file)) {
+    return DISCLAIMER_TEXTS;
+  }
+
+  let config;
+  try {
+    config = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read disclaimer texts ${file}: ${error.message}`);
+  }
+  if (!config.languages || typeof config.languages !== 'object' || Array.isArray(config.languages)) {
+    throw new Error(`${file} needs a "languages" object`);
+  }
+
+  const texts = { ...DISCLAIMER_TEXTS };
+  for (const [tag, entry] of Object.entries(config.languages)) {
+    const language = getPrimaryLanguage(tag);
+    if (!language || language !== tag.toLowerCase()) {
+      throw new Error(`${file} languages "${tag}" must be a language code such as "de"`);
+    }
+    for (const kind of Object.keys(entry || {})) {
+      if (!TEXT_KINDS.includes(kind)) {
+        throw new Error(`${file} languages.${tag} has an unknown key "${kind}". Expected: ${TEXT_KINDS.join(', ')}`);
+      }
+      if (!isStringList(entry[kind])) {
+        throw new Error(`${file} languages.${tag}.${kind} must be a list of button texts`);
+      }
+    }
+
+    const builtIn = texts[language] || {};
+    texts[language] = Object.fromEntries(TEXT_KINDS.map(kind => [kind, [...(entry[kind] || []), ...(builtIn[kind] || [])]]));
+  }
+  return texts;
+}
+
+module.exports = {
+  loadDisclaimerTexts,
+  getDefaultTextsPath,
+  pickLanguage,
+  getUrlLanguage,
+  getTextSelectors,
+  DISCLAIMER_TEXTS,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Minimal file globbing for input arguments
+ *
+ * Supports "*" and "?" within a path segment and "**" for any number of
+ * directories, e.g. "data/*.csv" or "data/**\/urls-*.csv". Quote patterns on
+ * the command line so the shell passes them through unexpanded.
+ */
+
+/**
+ * Check whether a path contains glob wildcards
+ * @param {string} pattern - Path as given on the command line
+ * @returns {boolean}
+ */
+function hasGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert the wildcard part of a pattern to a regular expression
+ * @param {string} pattern - Slash-separated pattern relative to the base directory
+ * @returns {RegExp}
+ */
+function toRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" anything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files below a directory as slash-separated relative paths
+ * @param {string} dir - Directory to walk
+ * @param {number} depth - Remaining directory levels to descend
+ * @param {string} [prefix] - Relative path of `dir`
+ * @returns {string[]}
+ */
+function listFiles(dir, depth, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isFile()) {
+      files.push(relative);
+    } else if (entry.isDirectory() && depth > 0 && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+      files.push(...listFiles(path.join(dir, entry.name), depth - 1, relative));
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand a glob pattern to the matching files
+ * @param {string} pattern - Path with wildcards, relative to the working directory or absolute
+ * @returns {string[]} Absolute paths in alphabetical order
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstWildcard = segments.findIndex(hasGlob);
+  const base = path.resolve(segments.slice(0, firstWildcard).join('/') || '.');
+  const rest = segments.slice(firstWildcard);
+
+  const depth = rest.includes('**') ? Infinity : rest.length - 1;
+  const matcher = toRegExp(rest.join('/'));
+
+  return listFiles(base, depth)
+    .filter(file => matcher.test(file))
+    .sort()
+    .map(file => path.join(base, file));
+}
+
+module.exports = {
+  hasGlob,
+  expandGlob
+};
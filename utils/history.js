@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CATEGORIES, getScores } = require('./lighthouse-runner');
+const { getMetrics } = require('./metrics');
+const { getAuditKey } = require('./baseline');
+
+/**
+ * Historical results store
+ *
+ * Every successful audit is appended as one JSON line to
+ * `<outputDir>/history.jsonl`. The file can be rebuilt at any time from the
+ * `<outputDir>/<device>/<slug>/<timestamp>/lighthouse-report.json` reports.
+ * With --runs, each run's folder gets a `run.json` marker so a rebuild takes
+ * only the median run of every audit, as the live history does.
+ */
+
+const RUN_MARKER = 'run.json';
+
+/**
+ * Get the path of the history file
+ * @param {string} outputDir - Report output directory
+ * @returns {string}
+ */
+function getHistoryPath(outputDir) {
+  return path.join(outputDir, 'history.jsonl');
+}
+
+/**
+ * Turn an audit result into a history entry
+ * @param {Object} result - Successful audit result
+ * @returns {Object}
+ */
+function toHistoryEntry(result) {
+  return {
+    fetchTime: result.fetchTime,
+    url: result.url,
+    device: result.device,
+    view: result.view || 'gated',
+    scores: result.scores,
+    metrics: result.metrics,
+    report: result.report
+  };
+}
+
+/**
+ * Append the successful audits of a run to the history file. Audits already
+ * recorded (same report, e.g. when a finished run is resumed) are skipped.
+ * @param {Array} results - Audit results
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<number>} Number of entries written
+ */
+async function appendHistory(results, outputDir) {
+  const recorded = new Set((await readHistory(outputDir)).map(entry => entry.report));
+  const entries = results.filter(r => !r.error && !recorded.has(r.report)).map(toHistoryEntry);
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  await fs.ensureDir(outputDir);
+  await fs.appendFile(getHistoryPath(outputDir), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  return entries.length;
+}
+
+/**
+ * Read all history entries, oldest first. Unparseable lines are skipped.
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<Array>}
+ */
+async function readHistory(outputDir) {
+  const historyPath = getHistoryPath(outputDir);
+  if (!await fs.pathExists(historyPath)) {
+    return [];
+  }
+
+  const lines = (await fs.readFile(historyPath, 'utf8')).split('\n').filter(line => line.trim());
+  const entries = [];
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`Skipping unreadable line ${index + 1} in ${historyPath}: ${error.message}`);
+    }
+  });
+
+  return entries.sort((a, b) => new Date(a.fetchTime) - new Date(b.fetchTime));
+}
+
+/**
+ * Record next to a report which URL was audited and whether the report is
+ * the median of several runs
+ * @param {string} report - Path of the run's lighthouse-report.html
+ * @param {{url: string, median: boolean, medianBy: ?string}} marker - What to record
+ * @returns {Promise<void>}
+ */
+async function writeRunMarker(report, marker) {
+  await fs.writeJson(path.join(path.dirname(report), RUN_MARKER), marker);
+}
+
+/**
+ * Rebuild the history file by scanning the existing report folders. Runs
+ * marked as not the median of their audit are left out. Entries are keyed by
+ * the audited URL of the marker, so they line up with the ones recorded after
+ * each run; reports without a marker fall back to the URL Lighthouse requested.
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<number>} Number of entries written
+ */
+async function rebuildHistory(outputDir) {
+  const entries = [];
+  let skipped = 0;
+
+  for (const reportPath of await findReports(outputDir)) {
+    try {
+      const markerPath = path.join(path.dirname(reportPath), RUN_MARKER);
+      const marker = await fs.pathExists(markerPath) ? await fs.readJson(markerPath) : null;
+      if (marker && !marker.median) {
+        skipped++;
+        continue;
+      }
+      const lhr = await fs.readJson(reportPath);
+      const runDir = path.basename(path.dirname(reportPath));
+      const device = path.basename(path.dirname(path.dirname(path.dirname(reportPath))));
+      const categories = Object.keys(CATEGORIES).filter(id => lhr.categories[id]);
+
+      entries.push({
+        fetchTime: lhr.fetchTime,
+        url: (marker && marker.url) || lhr.requestedUrl || lhr.finalDisplayedUrl,
+        device,
+        view: runDir.endsWith('-consent') ? 'consent' : 'gated',
+        scores: getScores(lhr, categories),
+        metrics: getMetrics(lhr),
+        report: path.join(path.dirname(reportPath), 'lighthouse-report.html')
+      });
+    } catch (error) {
+      console.warn(`Skipping ${reportPath}: ${error.message}`);
+    }
+  }
+
+  if (skipped > 0) {
+    console.log(`Left out ${skipped} reports that were not the median of their runs`);
+  }
+  entries.sort((a, b) => new Date(a.fetchTime) - new Date(b.fetchTime));
+  await fs.ensureDir(outputDir);
+  await fs.writeFile(getHistoryPath(outputDir), entries.map(e => JSON.stringify(e) + '\n').join(''));
+  return entries.length;
+}
+
+/**
+ * Find every lighthouse-report.json at <device>/<slug>/<timestamp>
+ * @param {string} outputDir - Report output directory
+ * @returns {Promise<string[]>}
+ */
+async function findReports(outputDir) {
+  const reports = [];
+  const subdirs = async dir => (await fs.readdir(dir, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.join(dir, entry.name));
+
+  if (!await fs.pathExists(outputDir)) {
+    return reports;
+  }
+
+  for (const deviceDir of await subdirs(outputDir)) {
+    for (const slugDir of await subdirs(deviceDir)) {
+      for (const runDir of await subdirs(slugDir)) {
+        const reportPath = path.join(runDir, 'lighthouse-report.json');
+        if (await fs.pathExists(reportPath)) {
+          reports.push(reportPath);
+        }
+      }
+    }
+  }
+
+  return reports;
+}
+
+/**
+ * Group history entries by URL, device and view for the audits of this run
+ * @param {Array} history - History entries, oldest first
+ * @param {Array} results - Audit results of the current run
+ * @param {number} [limit] - Maximum number of entries per series (default: 20)
+ * @returns {Array<{url: string, device: string, view: string, entries: Array}>}
+ */
+function getTrends(history, results, limit = 20) {
+  const series = new Map();
+  for (const result of results) {
+    const key = getAuditKey(result);
+    if (!series.has(key)) {
+      series.set(key, { url: result.url, device: result.device, view: result.view || 'gated', entries: [] });
+    }
+  }
+
+  for (const entry of history) {
+    const trend = series.get(getAuditKey(entry));
+    if (trend) {
+      trend.entries.push(entry);
+    }
+  }
+
+  return [...series.values()]
+    .filter(trend => trend.entries.length > 0)
+    .map(trend => ({ ...trend, entries: trend.entries.slice(-limit) }));
+}
+
+module.exports = {
+  getHistoryPath,
+  appendHistory,
+  readHistory,
+  rebuildHistory,
+  writeRunMarker,
+  getTrends
+};
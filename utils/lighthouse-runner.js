@@ -2,17 +2,58 @@ const lighthouse = require('lighthouse/core/index.cjs');
 const chromeLauncher = require('chrome-launcher');
 const fs = require('fs-extra');
 const path = require('path');
-const { handleDisclaimers } = require('./disclaimer-handler');
+const { handleDisclaimers, getFailedDisclaimerResult } = require('./disclaimer-handler');
+const { getMetrics, getRatings } = require('./metrics');
+const { getBuiltInProfiles, getLighthouseSettings, summarizeProfile } = require('./device-profiles');
+const { applySetupInChrome } = require('./setup-script');
+const { LighthouseRuntimeError } = require('./retry');
+
+/**
+ * Audit views supported by the runner:
+ * - gated: the page exactly as a first-time visitor sees it (HCP gate, cookie banner)
+ * - consent: the page after the disclaimers have been dismissed in the same Chrome
+ */
+const AUDIT_VIEWS = ['gated', 'consent'];
+
+/**
+ * Lighthouse categories, keyed by category id, with the key used in `scores`
+ */
+const CATEGORIES = {
+  performance: { key: 'performance', label: 'Performance' },
+  accessibility: { key: 'accessibility', label: 'Accessibility' },
+  'best-practices': { key: 'bestPractices', label: 'Best Practices' },
+  seo: { key: 'seo', label: 'SEO' }
+};
 
 /**8888888
  * Run Lighthouse audit for a URL
  * @param {string} url - URL to audit
- * @param {string} device - 'desktop' or 'mobile'
+ * @param {string} device - Device profile name, e.g. 'desktop' or 'mobile'
  * @param {string} outputDir - Directory to save reports
+ * @param {Object} [options] - Audit options
+ * @param {Object} [options.profile] - Resolved device profile (default: the built-in profile named `device`)
+ * @param {string} [options.view] - 'gated' (default) or 'consent'
+ * @param {string[]} [options.categories] - Category ids to audit (default: all)
+ * @param {boolean} [options.screenshot] - Take a page screenshot (default: true)
+ * @param {string} [options.waitFor] - CSS selector to wait for before handling disclaimers
+ * @param {boolean} [options.skipDisclaimers] - Leave disclaimers alone in the screenshot
+ * @param {Object} [options.headers] - Extra HTTP headers sent with every request
+ * @param {Object} [options.setup] - Setup from loadSetup(), run before the audit (login, region choice)
+ * @param {Object} [options.disclaimers] - Options for handleDisclaimers() (rules, cmpAction)
  * @returns {Promise<{report: string, screenshot: string}>}
  */
-async function runLighthouseAudit(url, device, outputDir) {
-  console.log(`Running Lighthouse audit for ${url} on ${device}...`);
+async function runLighthouseAudit(url, device, outputDir, options = {}) {
+  const view = options.view || 'gated';
+  const categories = options.categories || Object.keys(CATEGORIES);
+  if (!AUDIT_VIEWS.includes(view)) {
+    throw new Error(`Unknown audit view "${view}". Expected one of: ${AUDIT_VIEWS.join(', ')}`);
+  }
+  const profile = options.profile || getBuiltInProfiles()[device];
+  if (!profile) {
+    throw new Error(`Unknown device "${device}". Define it in a device profiles file`);
+  }
+
+  console.log(`Running Lighthouse audit for ${url} on ${device} (${view} view)...`);
   
   // Launch Chrome
   const chrome = await chromeLauncher.launch({
@@ -20,21 +61,32 @@ async function runLighthouseAudit(url, device, outputDir) {
   });
 
   try {
+    // Log in (or otherwise prepare the session) in this Chrome before anything else
+    let setupState = null;
+    if (options.setup) {
+      setupState = await applySetupInChrome(options.setup, url, profile, chrome.port, options);
+    }
+    const headers = { ...(setupState && setupState.headers), ...options.headers };
+    const hasHeaders = Object.keys(headers).length > 0;
+
+    // Dismiss disclaimers in this Chrome first so Lighthouse sees the post-consent page.
+    // The consent view records this pass; the gated view records the screenshot's.
+    // When this fails the audit fails too: Lighthouse would only measure the gated page.
+    let disclaimers = null;
+    if (view === 'consent') {
+      disclaimers = await acceptDisclaimersInChrome(url, profile, chrome.port, { ...options, headers: hasHeaders ? headers : null });
+    }
+
     // Lighthouse configuration
     const config = {
       extends: 'lighthouse:default',
       settings: {
-        onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
-        formFactor: device === 'mobile' ? 'mobile' : 'desktop',
-        throttling: device === 'mobile' ? 
-          { rttMs: 40, throughputKbps: 10240, cpuSlowdownMultiplier: 1 } :
-          { rttMs: 40, throughputKbps: 10240, cpuSlowdownMultiplier: 1 },
-        screenEmulation: device === 'mobile' ? 
-          { mobile: true, width: 390, height: 844, deviceScaleFactor: 2, disabled: false } :
-          { mobile: false, width: 1920, height: 1080, deviceScaleFactor: 1, disabled: false },
-        emulatedUserAgent: device === 'mobile' ?
-          'Mozilla/5.0 (Linux; Android 10; Pixel 3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.120 Mobile Safari/537.36' :
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+        onlyCategories: categories,
+        // Form factor, screen, throttling and user agent of the device profile
+        ...getLighthouseSettings(profile),
+        // Keep the cookies/localStorage set by the setup and acceptDisclaimersInChrome
+        disableStorageReset: view === 'consent' || Boolean(options.setup),
+        extraHeaders: hasHeaders ? headers : null
       }
     };
 
@@ -45,10 +97,16 @@ async function runLighthouseAudit(url, device, outputDir) {
       logLevel: 'info'
     }, config);
 
+    // A page Lighthouse could not load has no scores, only a runtimeError
+    if (runnerResult.lhr.runtimeError) {
+      throw new LighthouseRuntimeError(runnerResult.lhr.runtimeError);
+    }
+
     // Create output directory
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const urlSlug = url.replace(/[^a-zA-Z0-9]/g, '_');
-    const deviceDir = path.join(outputDir, device, urlSlug, timestamp);
+    const runDir = view === 'consent' ? `${timestamp}-consent` : timestamp;
+    const deviceDir = path.join(outputDir, device, urlSlug, runDir);
     await fs.ensureDir(deviceDir);
 
     // Save HTML report
@@ -60,54 +118,77 @@ async function runLighthouseAudit(url, device, outputDir) {
     await fs.writeJson(jsonPath, runnerResult.lhr, { spaces: 2 });
 
     // Take screenshot of the page
-    const screenshotPath = path.join(deviceDir, 'page-screenshot.png');
-    
-    // Use Playwright to take screenshot
-    const { chromium } = require('playwright');
-    const browser = await chromium.launch({ 
-      headless: true,
-      args: ['--disable-dev-shm-usage', '--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const context = await browser.newContext({
-      viewport: device === 'mobile' ? { width: 375, height: 667 } : { width: 1350, height: 940 },
-      userAgent: config.settings.emulatedUserAgent
-    });
-    const page = await context.newPage();
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
-      
-      // Handle any disclaimers that appear
-      await handleDisclaimers(page);
-      
-      await page.screenshot({ path: screenshotPath, fullPage: true });
-    } catch (error) {
-      console.warn(`Failed to take screenshot for ${url}: ${error.message}`);
-    } finally {
-      // Properly close all resources
-      await page.close();
-      await context.close();
-      await browser.close();
-      
-      // Force garbage collection if available
-      if (global.gc) {
-        global.gc();
+    const screenshotPath = options.screenshot === false ? null : path.join(deviceDir, 'page-screenshot.png');
+
+    if (screenshotPath) {
+      // Use Playwright on the same Chrome instead of launching a second browser
+      const { chromium } = require('playwright');
+      const browser = await chromium.connectOverCDP(`http://127.0.0.1:${chrome.port}`);
+      const context = await browser.newContext({
+        viewport: { width: profile.screen.width, height: profile.screen.height },
+        deviceScaleFactor: profile.screen.deviceScaleFactor,
+        isMobile: profile.screen.mobile,
+        userAgent: profile.userAgent,
+        extraHTTPHeaders: headers,
+        storageState: setupState ? setupState.storageState : undefined
+      });
+      const page = await context.newPage();
+      let handled = null;
+
+      try {
+        await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+        if (options.waitFor) {
+          await page.waitForSelector(options.waitFor, { timeout: 30000 });
+        }
+
+        // Handle any disclaimers that appear
+        if (!options.skipDisclaimers) {
+          handled = await handleDisclaimers(page, undefined, options.disclaimers);
+        }
+
+        await page.screenshot({ path: screenshotPath, fullPage: true });
+      } catch (error) {
+        console.warn(`Failed to take screenshot for ${url}: ${error.message}`);
+        if (!options.skipDisclaimers && !handled) {
+          handled = getFailedDisclaimerResult('Opening the page for the screenshot', error);
+        }
+      } finally {
+        if (view !== 'consent') {
+          disclaimers = handled;
+        }
+        // Properly close all resources; closing a CDP connection leaves Chrome running
+        await page.close();
+        await context.close();
+        await browser.close();
+
+        // Force garbage collection if available
+        if (global.gc) {
+          global.gc();
+        }
       }
     }
 
-    console.log(`Lighthouse audit completed for ${url} on ${device}`);
+    console.log(`Lighthouse audit completed for ${url} on ${device} (${view} view)`);
     console.log(`Report saved to: ${reportPath}`);
-    console.log(`Screenshot saved to: ${screenshotPath}`);
+    if (screenshotPath) {
+      console.log(`Screenshot saved to: ${screenshotPath}`);
+    }
+
+    const metrics = getMetrics(runnerResult.lhr);
 
     return {
+      view,
+      profile: summarizeProfile(profile),
+      setup: options.setup ? options.setup.file : null,
+      // What handleDisclaimers() detected, dismissed and how long it took
+      disclaimers,
+      fetchTime: runnerResult.lhr.fetchTime,
       report: reportPath,
+      jsonReport: jsonPath,
       screenshot: screenshotPath,
-      scores: {
-        performance: Math.round(runnerResult.lhr.categories.performance.score * 100),
-        accessibility: Math.round(runnerResult.lhr.categories.accessibility.score * 100),
-        bestPractices: Math.round(runnerResult.lhr.categories['best-practices'].score * 100),
-        seo: Math.round(runnerResult.lhr.categories.seo.score * 100)
-      }
+      scores: getScores(runnerResult.lhr, categories),
+      metrics,
+      metricRatings: getRatings(metrics)
     };
 
   } finally {
@@ -115,6 +196,88 @@ async function runLighthouseAudit(url, device, outputDir) {
   }
 }
 
+/**
+ * Extract the 0-100 category scores from a Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @param {string[]} categories - Category ids that were audited
+ * @returns {Object} Scores keyed by CATEGORIES[id].key
+ */
+function getScores(lhr, categories) {
+  const scores = {};
+  for (const id of categories) {
+    scores[CATEGORIES[id].key] = Math.round(lhr.categories[id].score * 100);
+  }
+  return scores;
+}
+
+/**
+ * Open the URL in the Chrome instance Lighthouse is about to use, dismiss the
+ * consent/cookie disclaimers and leave the resulting cookies and localStorage
+ * in the browser profile. The HTTP cache is cleared afterwards so the audit
+ * still measures a cold load.
+ * @param {string} url - URL to prime
+ * @param {Object} profile - Resolved device profile
+ * @param {number} port - Remote debugging port of the launched Chrome
+ * @param {Object} [options] - waitFor, headers and disclaimers, as for runLighthouseAudit
+ * @returns {Promise<Object>} Result of handleDisclaimers()
+ * @throws {Error} When the page could not be opened or primed; the message and
+ *   code of the cause are kept so the failure is classified and retried as usual
+ */
+async function acceptDisclaimersInChrome(url, profile, port, options = {}) {
+  const { chromium } = require('playwright');
+  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${port}`);
+
+  try {
+    const context = browser.contexts()[0];
+    const page = await context.newPage();
+    await page.setViewportSize({ width: profile.screen.width, height: profile.screen.height });
+    if (options.headers) {
+      await page.setExtraHTTPHeaders(options.headers);
+    }
+
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      if (options.waitFor) {
+        await page.waitForSelector(options.waitFor, { timeout: 30000 });
+      }
+      const handled = await handleDisclaimers(page, undefined, options.disclaimers);
+
+      const session = await context.newCDPSession(page);
+      await session.send('Network.clearBrowserCache');
+      await session.detach();
+      return handled;
+    } finally {
+      await page.close();
+    }
+  } catch (error) {
+    const failed = new Error(`Accepting the disclaimers before the audit failed: ${error.message}`);
+    failed.code = error.code;
+    throw failed;
+  } finally {
+    // Disconnects Playwright only; the Chrome instance stays up for Lighthouse
+    await browser.close();
+  }
+}
+
+/**
+ * Expand a consent mode setting into the list of views to audit
+ * @param {string} mode - 'gated', 'consent' or 'both'
+ * @returns {string[]}
+ */
+function getAuditViews(mode = 'gated') {
+  if (mode === 'both') {
+    return [...AUDIT_VIEWS];
+  }
+  if (!AUDIT_VIEWS.includes(mode)) {
+    throw new Error(`Unknown consent mode "${mode}". Expected one of: gated, consent, both`);
+  }
+  return [mode];
+}
+
 module.exports = {
-  runLighthouseAudit
+  runLighthouseAudit,
+  getAuditViews,
+  getScores,
+  AUDIT_VIEWS,
+  CATEGORIES
 }; 
\ No newline at end of file
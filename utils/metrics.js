@@ -0,0 +1,138 @@
+/**
+ * Lab metrics extracted from Lighthouse results, keyed by the name used in
+ * `metrics` on every audit result and in budget files.
+ *
+ * `thresholds` are the [good, poor] boundaries: values up to `good` are good,
+ * values above `poor` are poor and everything in between needs improvement.
+ * They follow the Web Vitals thresholds where those exist and Lighthouse's
+ * scoring curves otherwise.
+ */
+const METRICS = {
+  fcp: {
+    audit: 'first-contentful-paint', label: 'First Contentful Paint', short: 'FCP',
+    unit: 'ms', thresholds: [1800, 3000]
+  },
+  lcp: {
+    audit: 'largest-contentful-paint', label: 'Largest Contentful Paint', short: 'LCP',
+    unit: 'ms', thresholds: [2500, 4000]
+  },
+  tbt: {
+    audit: 'total-blocking-time', label: 'Total Blocking Time', short: 'TBT',
+    unit: 'ms', thresholds: [200, 600]
+  },
+  cls: {
+    audit: 'cumulative-layout-shift', label: 'Cumulative Layout Shift', short: 'CLS',
+    unit: 'unitless', thresholds: [0.1, 0.25]
+  },
+  speedIndex: {
+    audit: 'speed-index', label: 'Speed Index', short: 'SI',
+    unit: 'ms', thresholds: [3400, 5800]
+  },
+  tti: {
+    audit: 'interactive', label: 'Time to Interactive', short: 'TTI',
+    unit: 'ms', thresholds: [3800, 7300]
+  },
+  totalByteWeight: {
+    audit: 'total-byte-weight', label: 'Total Byte Weight', short: 'Weight',
+    unit: 'bytes', thresholds: [2667 * 1024, 4000 * 1024]
+  },
+  requestCount: {
+    audit: 'diagnostics', label: 'Requests', short: 'Requests',
+    unit: 'count', thresholds: null,
+    value: lhr => {
+      const diagnostics = lhr.audits.diagnostics;
+      const items = diagnostics && diagnostics.details && diagnostics.details.items;
+      if (items && items[0] && typeof items[0].numRequests === 'number') {
+        return items[0].numRequests;
+      }
+      const requests = lhr.audits['network-requests'];
+      return requests && requests.details && requests.details.items ? requests.details.items.length : null;
+    }
+  },
+  domSize: {
+    audit: 'dom-size', label: 'DOM Size', short: 'DOM',
+    unit: 'count', thresholds: [800, 1400]
+  }
+};
+
+const RATINGS = ['good', 'needs-improvement', 'poor'];
+
+/**
+ * Extract the metric values from a Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Object} Numeric values keyed by METRICS name (null when unavailable)
+ */
+function getMetrics(lhr) {
+  const metrics = {};
+  for (const [name, metric] of Object.entries(METRICS)) {
+    const value = metric.value ?
+      metric.value(lhr) :
+      lhr.audits[metric.audit] && lhr.audits[metric.audit].numericValue;
+    metrics[name] = typeof value === 'number' ? value : null;
+  }
+  return metrics;
+}
+
+/**
+ * Rate a metric value against its thresholds
+ * @param {string} name - Metric name
+ * @param {number|null} value - Metric value
+ * @returns {string|null} 'good', 'needs-improvement', 'poor' or null when unrated
+ */
+function getRating(name, value) {
+  const { thresholds } = METRICS[name];
+  if (!thresholds || typeof value !== 'number') {
+    return null;
+  }
+
+  const [good, poor] = thresholds;
+  if (value <= good) {
+    return 'good';
+  }
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Rate every metric of an audit result
+ * @param {Object} metrics - Values keyed by METRICS name
+ * @returns {Object} Ratings keyed by METRICS name (null when unrated)
+ */
+function getRatings(metrics) {
+  const ratings = {};
+  for (const name of Object.keys(METRICS)) {
+    ratings[name] = getRating(name, metrics[name]);
+  }
+  return ratings;
+}
+
+/**
+ * Format a metric value for display
+ * @param {string} name - Metric name
+ * @param {number|null} value - Metric value
+ * @returns {string}
+ */
+function formatMetric(name, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+
+  switch (METRICS[name].unit) {
+    case 'ms':
+      return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+    case 'bytes':
+      return `${Math.round(value / 1024)} KiB`;
+    case 'count':
+      return String(Math.round(value));
+    default:
+      return value.toFixed(3);
+  }
+}
+
+module.exports = {
+  METRICS,
+  RATINGS,
+  getMetrics,
+  getRating,
+  getRatings,
+  formatMetric
+};
@@ -0,0 +1,67 @@
+const { CATEGORIES } = require('../lighthouse-runner');
+const { METRICS } = require('../metrics');
+const { getDisclaimerStatus } = require('../disclaimer-handler');
+
+/**
+ * CSV reporter: one row per audit with every score and metric
+ */
+
+const name = 'csv';
+const fileName = 'audit-results.csv';
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate the CSV document
+ * @param {Array} results - Audit results
+ * @returns {string}
+ */
+function generate(results) {
+  const header = [
+    'url', 'description', 'group', 'tags', 'source', 'disclaimers', 'cmp', 'disclaimer_ms', 'device', 'view', 'status', 'error', 'failure', 'attempts', 'retries',
+    ...Object.keys(CATEGORIES),
+    ...Object.keys(METRICS),
+    'budget_violations', 'report'
+  ];
+
+  const rows = results.map(result => [
+    result.url,
+    result.description,
+    result.group,
+    result.tags && result.tags.join(';'),
+    result.source,
+    result.disclaimers && getDisclaimerStatus(result.disclaimers),
+    result.disclaimers && result.disclaimers.cmp && result.disclaimers.cmp.name,
+    result.disclaimers && result.disclaimers.elapsedMs,
+    result.device,
+    result.view || 'gated',
+    result.error ? 'error' : 'ok',
+    result.error,
+    result.failure && result.failure.category,
+    result.attempts,
+    result.retries,
+    ...Object.values(CATEGORIES).map(({ key }) => result.scores && result.scores[key]),
+    ...Object.keys(METRICS).map(metric => result.metrics && result.metrics[metric]),
+    result.violations ? result.violations.length : '',
+    result.report
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  name,
+  fileName,
+  generate
+};
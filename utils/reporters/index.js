@@ -0,0 +1,46 @@
+const fs = require('fs-extra');
+const path = require('path');
+const junit = require('./junit');
+const csv = require('./csv');
+const markdown = require('./markdown');
+
+/**
+ * Machine-readable reporters
+ *
+ * Each reporter exports `name`, `fileName` and `generate(results, context)`,
+ * which returns the file content as a string. The JSON and HTML summaries are
+ * always written; these are opt-in through --reporters.
+ */
+const REPORTERS = {
+  [junit.name]: junit,
+  [csv.name]: csv,
+  [markdown.name]: markdown
+};
+
+/**
+ * Write the output of the selected reporters
+ * @param {string[]} names - Reporter names
+ * @param {Array} results - Audit results
+ * @param {string} outputDir - Output directory
+ * @param {Object} [context] - Extra run data: { budgetsEnabled, topIssues, baselineSummary }
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+async function writeReports(names, results, outputDir, context = {}) {
+  const written = [];
+  for (const name of names) {
+    const reporter = REPORTERS[name];
+    if (!reporter) {
+      throw new Error(`Unknown reporter "${name}". Expected one of: ${Object.keys(REPORTERS).join(', ')}`);
+    }
+
+    const reportPath = path.join(outputDir, reporter.fileName);
+    await fs.writeFile(reportPath, reporter.generate(results, context));
+    written.push(reportPath);
+  }
+  return written;
+}
+
+module.exports = {
+  REPORTERS,
+  writeReports
+};
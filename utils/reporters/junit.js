@@ -0,0 +1,117 @@
+const { CATEGORIES } = require('../lighthouse-runner');
+
+/**
+ * JUnit XML reporter
+ *
+ * One <testsuite> per URL, device and view with one <testcase> per category.
+ * A testcase fails when a budget for that category is missed; metric budgets
+ * count towards the performance testcase. Audits that threw are reported as
+ * errors on every category.
+ */
+
+const name = 'junit';
+const fileName = 'junit.xml';
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Budget violations belonging to a category
+ * @param {Object} result - Audit result
+ * @param {string} id - Category id
+ * @returns {Array}
+ */
+function getCategoryViolations(result, id) {
+  return (result.violations || []).filter(v =>
+    v.type === 'score' ? v.name === id : id === 'performance');
+}
+
+/**
+ * Render one testcase
+ * @param {Object} result - Audit result
+ * @param {string} id - Category id
+ * @param {string} className - JUnit class name
+ * @returns {{xml: string, failed: boolean, errored: boolean}}
+ */
+function renderTestcase(result, id, className) {
+  const { key, label } = CATEGORIES[id];
+  const attributes = `name="${escapeXml(label)}" classname="${escapeXml(className)}"`;
+
+  if (result.error) {
+    return {
+      xml: `    <testcase ${attributes}>\n      <error${result.failure ? ` type="${escapeXml(result.failure.category)}"` : ''} message="${escapeXml(result.error)}"/>\n    </testcase>`,
+      failed: false,
+      errored: true
+    };
+  }
+
+  const violations = getCategoryViolations(result, id);
+  const score = result.scores[key];
+  const output = `      <system-out>${escapeXml(`${label} score: ${score}`)}</system-out>`;
+  if (violations.length === 0) {
+    return { xml: `    <testcase ${attributes}>\n${output}\n    </testcase>`, failed: false, errored: false };
+  }
+
+  const message = violations.map(v => v.message).join('; ');
+  return {
+    xml: `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}" type="budget">${escapeXml(message)}</failure>\n${output}\n    </testcase>`,
+    failed: true,
+    errored: false
+  };
+}
+
+/**
+ * Generate the JUnit XML document
+ * @param {Array} results - Audit results
+ * @returns {string}
+ */
+function generate(results) {
+  const suites = [];
+  let totals = { tests: 0, failures: 0, errors: 0 };
+
+  for (const result of results) {
+    const view = result.view || 'gated';
+    const suiteName = `${result.url} (${result.device}${view === 'consent' ? ', after consent' : ''})`;
+    const className = `lighthouse.${result.device}.${view}`;
+    const ids = result.error ?
+      Object.keys(CATEGORIES) :
+      Object.keys(CATEGORIES).filter(id => result.scores[CATEGORIES[id].key] !== undefined);
+
+    const testcases = ids.map(id => renderTestcase(result, id, className));
+    const failures = testcases.filter(t => t.failed).length;
+    const errors = testcases.filter(t => t.errored).length;
+    totals = {
+      tests: totals.tests + testcases.length,
+      failures: totals.failures + failures,
+      errors: totals.errors + errors
+    };
+
+    suites.push(
+      `  <testsuite name="${escapeXml(suiteName)}" tests="${testcases.length}" failures="${failures}" errors="${errors}"${result.fetchTime ? ` timestamp="${escapeXml(result.fetchTime)}"` : ''}>\n` +
+      testcases.map(t => t.xml).join('\n') +
+      '\n  </testsuite>'
+    );
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="Lighthouse Audit" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}">\n` +
+    suites.join('\n') +
+    '\n</testsuites>\n';
+}
+
+module.exports = {
+  name,
+  fileName,
+  generate
+};
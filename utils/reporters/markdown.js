@@ -0,0 +1,108 @@
+const { CATEGORIES } = require('../lighthouse-runner');
+const { METRICS, formatMetric, getRating } = require('../metrics');
+const { FAILURE_CATEGORIES } = require('../retry');
+
+/**
+ * Markdown reporter: a compact summary suitable for pull request comments
+ */
+
+const name = 'markdown';
+const fileName = 'audit-summary.md';
+
+// Metrics shown in the table; the full set is in the JSON and CSV output
+const TABLE_METRICS = ['lcp', 'cls', 'tbt'];
+
+const RATING_ICONS = { good: '🟢', 'needs-improvement': '🟠', poor: '🔴' };
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Generate the Markdown document
+ * @param {Array} results - Audit results
+ * @param {Object} [context] - { budgetsEnabled, topIssues, baselineSummary }
+ * @returns {string}
+ */
+function generate(results, context = {}) {
+  const successful = results.filter(r => !r.error);
+  const failed = results.filter(r => r.error);
+  const overBudget = successful.filter(r => r.violations && r.violations.length > 0);
+  const lines = ['## 🚦 Lighthouse Audit Summary', ''];
+
+  const stats = [
+    `**${new Set(results.map(r => r.url)).size}** URLs`,
+    `**${successful.length}** successful audits`,
+    `**${failed.length}** failed`
+  ];
+  if (context.budgetsEnabled) {
+    stats.push(`**${overBudget.length}** over budget`);
+  }
+  if (context.baselineSummary) {
+    stats.push(`**${context.baselineSummary.regressed}** regressed since \`${context.baselineSummary.baseline}\``);
+  }
+  lines.push(stats.join(' · '), '');
+
+  lines.push(
+    `| URL | Device | ${Object.values(CATEGORIES).map(c => c.label).join(' | ')} | ${TABLE_METRICS.map(m => METRICS[m].short).join(' | ')} | Status |`,
+    `|---|---|${Object.keys(CATEGORIES).map(() => '---:').join('|')}|${TABLE_METRICS.map(() => '---:').join('|')}|---|`
+  );
+
+  for (const result of results) {
+    const device = `${result.device}${result.view === 'consent' ? ' (consent)' : ''}`;
+    if (result.error) {
+      const empty = Array(Object.keys(CATEGORIES).length + TABLE_METRICS.length).fill('–').join(' | ');
+      const failure = result.failure && FAILURE_CATEGORIES[result.failure.category];
+      lines.push(`| ${escapeCell(result.url)} | ${device} | ${empty} | ❌ ${failure ? `${failure.label}: ` : ''}${escapeCell(result.error)} |`);
+      continue;
+    }
+
+    const scores = Object.values(CATEGORIES).map(({ key }) => result.scores[key] ?? '–');
+    const metrics = TABLE_METRICS.map(metric => {
+      const value = result.metrics && result.metrics[metric];
+      const icon = RATING_ICONS[getRating(metric, value)];
+      return icon ? `${icon} ${formatMetric(metric, value)}` : formatMetric(metric, value);
+    });
+
+    const status = [];
+    if (result.violations && result.violations.length > 0) {
+      status.push(`💸 ${result.violations.length} over budget`);
+    }
+    if (result.comparison && result.comparison.regressions.length > 0) {
+      status.push(`📉 ${result.comparison.regressions.length} regressions`);
+    }
+
+    lines.push(`| ${escapeCell(result.url)} | ${device} | ${scores.join(' | ')} | ${metrics.join(' | ')} | ${status.join(', ') || '✅'} |`);
+  }
+
+  if (overBudget.length > 0) {
+    lines.push('', '<details><summary>Budget violations</summary>', '');
+    overBudget.forEach(r => r.violations.forEach(v => lines.push(`- ${r.url} (${r.device}): ${v.message}`)));
+    lines.push('', '</details>');
+  }
+
+  const regressed = successful.filter(r => r.comparison && r.comparison.regressions.length > 0);
+  if (regressed.length > 0) {
+    lines.push('', '<details><summary>Regressions since baseline</summary>', '');
+    regressed.forEach(r => r.comparison.regressions.forEach(message => lines.push(`- ${r.url} (${r.device}): ${message}`)));
+    lines.push('', '</details>');
+  }
+
+  if (context.topIssues && context.topIssues.length > 0) {
+    lines.push('', '### 🔥 Top issues', '');
+    context.topIssues.slice(0, 5).forEach(issue => lines.push(`- **${issue.pages} pages**: ${escapeCell(issue.title)}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name,
+  fileName,
+  generate
+};
@@ -0,0 +1,154 @@
+/**
+ * Failure classification and retries
+ *
+ * Audit errors come from many places: Chrome failing to resolve or load the
+ * page, Playwright timeouts, Chrome crashing mid-run and Lighthouse runtime
+ * errors (NO_FCP, PAGE_HUNG, ERRORED_DOCUMENT_REQUEST, ...). Each error is
+ * put in a category so transient failures can be retried with backoff and
+ * the summaries can show why audits failed.
+ */
+
+/**
+ * Failure categories. Transient ones are retried by default.
+ */
+const FAILURE_CATEGORIES = {
+  dns: { label: 'DNS failure', transient: false },
+  'http-4xx': { label: 'HTTP 4xx', transient: false },
+  'http-5xx': { label: 'HTTP 5xx', transient: true },
+  timeout: { label: 'Timeout', transient: true },
+  network: { label: 'Connection failure', transient: true },
+  'chrome-crash': { label: 'Chrome crash', transient: true },
+  'runtime-error': { label: 'Lighthouse runtime error', transient: false },
+  unknown: { label: 'Other', transient: false }
+};
+
+const DEFAULT_RETRY_ON = Object.keys(FAILURE_CATEGORIES).filter(name => FAILURE_CATEGORIES[name].transient);
+
+// Longest wait between two attempts
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Message patterns per category, checked in order after the HTTP status
+ */
+const PATTERNS = [
+  ['dns', /DNS_FAILURE|ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|getaddrinfo/i],
+  ['timeout', /PROTOCOL_TIMEOUT|PAGE_HUNG|ERR_TIMED_OUT|ETIMEDOUT|timed? ?out|Timeout \d+ms exceeded/i],
+  ['chrome-crash', /TARGET_CRASHED|Target (page, context or browser )?closed|Browser has been closed|browser has disconnected|Page crashed|Session closed|ECONNREFUSED 127\.0\.0\.1|Chrome (exited|crashed)/i],
+  ['network', /ERR_CONNECTION_(REFUSED|RESET|CLOSED|FAILED)|ERR_EMPTY_RESPONSE|ERR_NETWORK_CHANGED|ERR_INTERNET_DISCONNECTED|ECONNRESET|FAILED_DOCUMENT_REQUEST/i]
+];
+
+/**
+ * Error thrown when Lighthouse finishes with a runtimeError instead of scores
+ */
+class LighthouseRuntimeError extends Error {
+  /**
+   * @param {{code: string, message: string}} runtimeError - lhr.runtimeError
+   */
+  constructor({ code, message }) {
+    super(`Lighthouse runtime error ${code}: ${message}`);
+    this.name = 'LighthouseRuntimeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Put an audit error in a failure category
+ * @param {Error} error - Error thrown by the audit
+ * @returns {{category: string, code: string|null, statusCode: number|null}}
+ */
+function classifyError(error) {
+  const message = (error && error.message) || String(error);
+  const code = error && typeof error.code === 'string' ? error.code : null;
+  const text = `${code || ''} ${message}`;
+
+  const status = text.match(/status code:?\s*(\d{3})/i);
+  const statusCode = status ? Number(status[1]) : null;
+  if (statusCode >= 500) {
+    return { category: 'http-5xx', code, statusCode };
+  }
+  if (statusCode >= 400) {
+    return { category: 'http-4xx', code, statusCode };
+  }
+
+  for (const [category, pattern] of PATTERNS) {
+    if (pattern.test(text)) {
+      return { category, code, statusCode };
+    }
+  }
+
+  const category = error instanceof LighthouseRuntimeError ? 'runtime-error' : 'unknown';
+  return { category, code, statusCode };
+}
+
+/**
+ * Wait before the next attempt: backoffMs, doubling with every retry
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {number} backoffMs - Wait after the first failure
+ * @returns {number} Milliseconds
+ */
+function getBackoffDelay(attempt, backoffMs) {
+  return Math.min(backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Run a task, retrying failures in the categories of the policy. The error of
+ * the last attempt is rethrown with `failure` (the classification) and
+ * `attempts` added.
+ * @param {Function} task - Async function to run
+ * @param {Object} [policy] - Retry policy
+ * @param {number} [policy.retries] - Retries after the first attempt (default: 0)
+ * @param {number} [policy.backoffMs] - Wait after the first failure (default: 0)
+ * @param {string[]} [policy.retryOn] - Categories to retry (default: the transient ones)
+ * @param {string} [label] - What is being run, for the log
+ * @returns {Promise<{value: *, attempts: number}>}
+ */
+async function withRetries(task, policy = {}, label = 'Audit') {
+  const { retries = 0, backoffMs = 0, retryOn = DEFAULT_RETRY_ON } = policy;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await task(), attempts: attempt };
+    } catch (error) {
+      const failure = classifyError(error);
+      if (attempt > retries || !retryOn.includes(failure.category)) {
+        error.failure = failure;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, backoffMs);
+      console.warn(`🔄 ${label} failed (${FAILURE_CATEGORIES[failure.category].label}): ${error.message}`);
+      console.warn(`   Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${retries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Count failed audits per category
+ * @param {Array} results - Audit results
+ * @returns {Array<{category: string, label: string, count: number, results: Array}>} Most frequent first
+ */
+function getFailureBreakdown(results) {
+  const breakdown = new Map();
+  for (const result of results.filter(r => r.error)) {
+    const category = (result.failure && result.failure.category) || 'unknown';
+    if (!breakdown.has(category)) {
+      breakdown.set(category, { category, label: (FAILURE_CATEGORIES[category] || FAILURE_CATEGORIES.unknown).label, count: 0, results: [] });
+    }
+    const entry = breakdown.get(category);
+    entry.count++;
+    entry.results.push(result);
+  }
+  return [...breakdown.values()].sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  classifyError,
+  withRetries,
+  getBackoffDelay,
+  getFailureBreakdown,
+  LighthouseRuntimeError,
+  FAILURE_CATEGORIES,
+  DEFAULT_RETRY_ON
+};
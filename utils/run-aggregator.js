@@ -0,0 +1,183 @@
+const { runLighthouseAudit, CATEGORIES } = require('./lighthouse-runner');
+const { METRICS } = require('./metrics');
+const { withRetries } = require('./retry');
+const { writeRunMarker } = require('./history');
+
+/**
+ * Repeated audits with median aggregation
+ *
+ * Lighthouse scores vary from run to run. Running an audit several times and
+ * keeping the median run (by a category score or a metric) gives numbers that
+ * are far more stable; the spread of each score and metric across the runs
+ * shows how noisy the page is.
+ */
+
+/**
+ * Values that can be used to pick the median run: category ids and metric names
+ * @returns {string[]}
+ */
+function getMedianKeys() {
+  return [...Object.keys(CATEGORIES), ...Object.keys(METRICS)];
+}
+
+/**
+ * Read the value a run is ranked by
+ * @param {Object} run - Successful audit result
+ * @param {string} medianBy - Category id or metric name
+ * @returns {number|null}
+ */
+function getRankValue(run, medianBy) {
+  const value = CATEGORIES[medianBy] ? run.scores[CATEGORIES[medianBy].key] : run.metrics[medianBy];
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Pick the median run. With an even number of runs the lower middle run wins.
+ * @param {Array} runs - Successful audit results
+ * @param {string} medianBy - Category id or metric name
+ * @returns {Object}
+ */
+function pickMedianRun(runs, medianBy) {
+  const ranked = runs.filter(run => getRankValue(run, medianBy) !== null);
+  if (ranked.length === 0) {
+    return runs[0];
+  }
+
+  ranked.sort((a, b) => getRankValue(a, medianBy) - getRankValue(b, medianBy));
+  return ranked[Math.floor((ranked.length - 1) / 2)];
+}
+
+/**
+ * Summarize a list of values
+ * @param {Array<number|null>} values - Values; non-numbers are ignored
+ * @returns {{min: number, max: number, mean: number, stddev: number, values: number[]}|null}
+ */
+function getStats(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) {
+    return null;
+  }
+
+  const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  const variance = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / numbers.length;
+  return {
+    min: Math.min(...numbers),
+    max: Math.max(...numbers),
+    mean,
+    stddev: Math.sqrt(variance),
+    values: numbers
+  };
+}
+
+/**
+ * Compute the spread of every score and metric across runs
+ * @param {Array} runs - Successful audit results
+ * @returns {{scores: Object, metrics: Object}}
+ */
+function computeSpread(runs) {
+  const spread = { scores: {}, metrics: {} };
+
+  for (const { key } of Object.values(CATEGORIES)) {
+    const stats = getStats(runs.map(run => run.scores[key]));
+    if (stats) {
+      spread.scores[key] = stats;
+    }
+  }
+
+  for (const name of Object.keys(METRICS)) {
+    const stats = getStats(runs.map(run => run.metrics[name]));
+    if (stats) {
+      spread.metrics[name] = stats;
+    }
+  }
+
+  return spread;
+}
+
+/**
+ * Run an audit `runs` times and return the median run with the spread.
+ * Only the first successful run takes a screenshot, which in the gated view is also where
+ * the disclaimers are handled; both are carried over to the median. Failed runs are tolerated as long
+ * as at least one run succeeds. Every run is retried according to the retry policy;
+ * `attempts` counts all attempts of all runs and `retries` only the repeated
+ * attempts, so a clean 3-run audit has 3 attempts and 0 retries.
+ * @param {string} url - URL to audit
+ * @param {string} device - Device name
+ * @param {string} outputDir - Directory to save reports
+ * @param {Object} [options] - Options for runLighthouseAudit plus:
+ * @param {number} [options.runs] - Number of runs (default: 1)
+ * @param {string} [options.medianBy] - Category id or metric name (default: performance)
+ * @param {Object} [options.retry] - Retry policy for withRetries() (default: no retries)
+ * @returns {Promise<Object>}
+ */
+async function runMedianAudit(url, device, outputDir, options = {}) {
+  const { runs = 1, medianBy = 'performance', retry, ...auditOptions } = options;
+  const label = `Audit of ${url} on ${device}`;
+  if (runs <= 1) {
+    try {
+      const { value, attempts } = await withRetries(() => runLighthouseAudit(url, device, outputDir, auditOptions), retry, label);
+      await writeRunMarker(value.report, { url, median: true, medianBy: null });
+      return { ...value, attempts, retries: attempts - 1 };
+    } catch (error) {
+      error.retries = error.attempts - 1;
+      throw error;
+    }
+  }
+
+  const completed = [];
+  let attempts = 0;
+  let retries = 0;
+  let lastError = null;
+  for (let run = 1; run <= runs; run++) {
+    console.log(`🔁 Run ${run}/${runs} for ${url} on ${device}`);
+    try {
+      const result = await withRetries(() => runLighthouseAudit(url, device, outputDir, {
+        ...auditOptions,
+        screenshot: !completed.some(done => done.screenshot)
+      }), retry, `Run ${run}/${runs} of ${url} on ${device}`);
+      completed.push(result.value);
+      attempts += result.attempts;
+      retries += result.attempts - 1;
+    } catch (error) {
+      console.warn(`Run ${run}/${runs} failed for ${url} on ${device}: ${error.message}`);
+      attempts += error.attempts;
+      retries += error.attempts - 1;
+      lastError = error;
+    }
+  }
+
+  if (completed.length === 0) {
+    const error = new Error(`All ${runs} runs failed: ${lastError.message}`);
+    error.failure = lastError.failure;
+    error.attempts = attempts;
+    error.retries = retries;
+    throw error;
+  }
+
+  const median = pickMedianRun(completed, medianBy);
+  // Only the median run counts when the history is rebuilt from the report folders
+  await Promise.all(completed.map(run => writeRunMarker(run.report, { url, median: run === median, medianBy })));
+  return {
+    ...median,
+    attempts,
+    retries,
+    screenshot: (completed.find(run => run.screenshot) || median).screenshot,
+    disclaimers: median.disclaimers || (completed.find(run => run.screenshot) || median).disclaimers,
+    runs: {
+      requested: runs,
+      completed: completed.length,
+      failed: runs - completed.length,
+      medianBy,
+      medianIndex: completed.indexOf(median),
+      reports: completed.map(run => run.report)
+    },
+    spread: computeSpread(completed)
+  };
+}
+
+module.exports = {
+  runMedianAudit,
+  pickMedianRun,
+  computeSpread,
+  getMedianKeys
+};
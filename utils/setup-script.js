@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Setup scripts for authenticated and pre-scripted audits
+ *
+ * A setup runs in the Chrome instance Lighthouse is about to use, before the
+ * audit, so the cookies and localStorage it leaves behind (a login session,
+ * a region choice, ...) are in place when Lighthouse loads the page. Two
+ * kinds are supported:
+ *
+ * - a Playwright storageState JSON file ({ cookies, origins }), as written by
+ *   `context.storageState({ path })`
+ * - a JavaScript module exporting `async (page, { url, device, profile, context })`
+ *   that drives the page with Playwright. It may return `{ headers }` to add
+ *   request headers to the audit.
+ */
+
+/**
+ * Load and validate a setup file
+ * @param {string} filePath - storageState .json file or .js module
+ * @returns {Promise<{type: string, file: string, state?: Object, run?: Function}>}
+ */
+async function loadSetup(filePath) {
+  const file = path.resolve(filePath);
+  if (!await fs.pathExists(file)) {
+    throw new Error(`Setup file not found: ${filePath}`);
+  }
+
+  if (/\.[cm]?js$/i.test(file)) {
+    let run;
+    try {
+      run = require(file);
+    } catch (error) {
+      throw new Error(`Could not load setup script ${filePath}: ${error.message}`);
+    }
+    run = typeof run === 'function' ? run : run && run.setup;
+    if (typeof run !== 'function') {
+      throw new Error(`Setup script ${filePath} must export a function (or a "setup" function)`);
+    }
+    return { type: 'script', file, run };
+  }
+
+  let state;
+  try {
+    state = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read storage state ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(state.cookies) && !Array.isArray(state.origins)) {
+    throw new Error(`${filePath} is not a storage state file (expected "cookies" and/or "origins")`);
+  }
+  return { type: 'storageState', file, state: { cookies: state.cookies || [], origins: state.origins || [] } };
+}
+
+/**
+ * Write a storage state into a browser context. Cookies are added directly;
+ * localStorage is written on a stub page per origin so nothing is requested
+ * from the site itself.
+ * @param {Object} context - Playwright browser context
+ * @param {{cookies: Array, origins: Array}} state - Storage state
+ */
+async function applyStorageState(context, state) {
+  if (state.cookies.length > 0) {
+    await context.addCookies(state.cookies);
+  }
+
+  for (const { origin, localStorage = [] } of state.origins) {
+    if (localStorage.length === 0) {
+      continue;
+    }
+
+    const page = await context.newPage();
+    try {
+      await page.route('**/*', route => route.fulfill({ status: 200, contentType: 'text/html', body: '<html></html>' }));
+      await page.goto(`${origin}/`);
+      await page.evaluate(items => {
+        for (const { name, value } of items) {
+          window.localStorage.setItem(name, value);
+        }
+      }, localStorage);
+    } finally {
+      await page.close();
+    }
+  }
+}
+
+/**
+ * Run a setup in the Chrome instance Lighthouse is about to use. The HTTP
+ * cache is cleared afterwards so the audit still measures a cold load.
+ * Unlike disclaimer handling, a failing setup fails the audit: measuring a
+ * login page instead of the protected page would be misleading.
+ * @param {Object} setup - Result of loadSetup()
+ * @param {string} url - URL that will be audited
+ * @param {Object} profile - Resolved device profile
+ * @param {number} port - Remote debugging port of the launched Chrome
+ * @param {Object} [options] - Audit options (headers are sent during the setup too)
+ * @returns {Promise<{storageState: Object, headers: Object}>} The resulting state, for
+ *   the screenshot context, and any headers returned by a setup script
+ */
+async function applySetupInChrome(setup, url, profile, port, options = {}) {
+  const { chromium } = require('playwright');
+  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${port}`);
+
+  try {
+    const context = browser.contexts()[0];
+    let headers = {};
+
+    if (setup.type === 'storageState') {
+      await applyStorageState(context, setup.state);
+    } else {
+      const page = await context.newPage();
+      await page.setViewportSize({ width: profile.screen.width, height: profile.screen.height });
+      if (options.headers) {
+        await page.setExtraHTTPHeaders(options.headers);
+      }
+
+      try {
+        const result = await setup.run(page, { url, device: profile.name, profile, context });
+        headers = (result && result.headers) || {};
+      } finally {
+        await page.close();
+      }
+    }
+
+    const page = await context.newPage();
+    try {
+      const session = await context.newCDPSession(page);
+      await session.send('Network.clearBrowserCache');
+      await session.detach();
+    } finally {
+      await page.close();
+    }
+
+    return { storageState: await context.storageState(), headers };
+  } catch (error) {
+    throw new Error(`Setup ${path.basename(setup.file)} failed for ${url}: ${error.message}`);
+  } finally {
+    // Disconnects Playwright only; the Chrome instance stays up for Lighthouse
+    await browser.close();
+  }
+}
+
+module.exports = {
+  loadSetup,
+  applySetupInChrome
+};
@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+/**
+ * Sitemap URL source
+ *
+ * Reads a sitemap.xml or sitemap index from a local file or a URL, follows
+ * nested sitemaps and returns the same {url, description} records as
+ * readUrlsFromCSV. Gzipped sitemaps (.xml.gz) are supported.
+ */
+
+// Guard against sitemap indexes that reference each other endlessly
+const MAX_SITEMAP_DEPTH = 5;
+
+/**
+ * Download a URL, following redirects
+ * @param {string} url - URL to fetch
+ * @param {number} [redirects] - Remaining redirects
+ * @returns {Promise<Buffer>}
+ */
+function fetchBuffer(url, redirects = 5) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { timeout: 30000 }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects === 0) {
+          reject(new Error(`Too many redirects fetching ${url}`));
+          return;
+        }
+        resolve(fetchBuffer(new URL(headers.location, url).toString(), redirects - 1));
+        return;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Fetching ${url} failed with HTTP ${statusCode}`));
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out fetching ${url}`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Load the XML of a sitemap from a file or URL
+ * @param {string} source - File path or http(s) URL
+ * @returns {Promise<string>}
+ */
+async function loadSitemapXml(source) {
+  const buffer = /^https?:\/\//i.test(source) ? await fetchBuffer(source) : await fs.readFile(source);
+
+  // Gzip magic number, regardless of the file extension
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Decode the XML entities that appear in sitemap URLs
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Extract the <loc> of every <tag> element
+ * @param {string} xml - Sitemap XML
+ * @param {string} tag - 'url' or 'sitemap'
+ * @returns {string[]}
+ */
+function extractLocations(xml, tag) {
+  const locations = [];
+  const elementPattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'gi');
+  const locPattern = /<(?:\w+:)?loc\b[^>]*>([\s\S]*?)<\/(?:\w+:)?loc>/i;
+
+  let match;
+  while ((match = elementPattern.exec(xml)) !== null) {
+    const loc = locPattern.exec(match[1]);
+    if (loc) {
+      locations.push(decodeXml(loc[1]));
+    }
+  }
+  return locations;
+}
+
+/**
+ * Check a URL against include and exclude patterns
+ * @param {string} url - URL to check
+ * @param {RegExp[]} include - URL must match at least one (when not empty)
+ * @param {RegExp[]} exclude - URL must match none
+ * @returns {boolean}
+ */
+function matchesPatterns(url, include = [], exclude = []) {
+  if (include.length > 0 && !include.some(pattern => pattern.test(url))) {
+    return false;
+  }
+  return !exclude.some(pattern => pattern.test(url));
+}
+
+/**
+ * Read URLs from a sitemap or sitemap index
+ * @param {string} source - File path or http(s) URL of the sitemap
+ * @param {Object} [options] - Reader options
+ * @param {RegExp[]} [options.include] - Only keep URLs matching one of these
+ * @param {RegExp[]} [options.exclude] - Drop URLs matching any of these
+ * @param {number} [options.maxUrls] - Stop after this many URLs (default: no limit)
+ * @returns {Promise<Array<{url: string, description: string}>>}
+ */
+async function readUrlsFromSitemap(source, options = {}) {
+  const { include = [], exclude = [], maxUrls = Infinity } = options;
+  const urls = new Set();
+  const visited = new Set();
+
+  const visit = async (sitemap, depth) => {
+    if (visited.has(sitemap) || urls.size >= maxUrls) {
+      return;
+    }
+    if (depth > MAX_SITEMAP_DEPTH) {
+      console.warn(`Skipping ${sitemap}: sitemaps nested deeper than ${MAX_SITEMAP_DEPTH} levels`);
+      return;
+    }
+    visited.add(sitemap);
+
+    const xml = await loadSitemapXml(sitemap);
+    if (!/<(?:\w+:)?(urlset|sitemapindex)\b/i.test(xml)) {
+      throw new Error(`${sitemap} is not a sitemap (no <urlset> or <sitemapindex> element)`);
+    }
+
+    for (const url of extractLocations(xml, 'url')) {
+      if (urls.size >= maxUrls) {
+        break;
+      }
+      if (matchesPatterns(url, include, exclude)) {
+        urls.add(url);
+      }
+    }
+
+    for (const nested of extractLocations(xml, 'sitemap')) {
+      try {
+        await visit(nested, depth + 1);
+      } catch (error) {
+        console.warn(`Skipping nested sitemap ${nested}: ${error.message}`);
+      }
+    }
+  };
+
+  await visit(source, 0);
+  console.log(`Read ${urls.size} URLs from sitemap ${source}${visited.size > 1 ? ` (${visited.size} sitemaps)` : ''}`);
+
+  return [...urls].map(url => ({
+    url,
+    description: describeUrl(url)
+  }));
+}
+
+/**
+ * Describe a sitemap URL by its path, as sitemaps carry no descriptions
+ * @param {string} url - Page URL
+ * @returns {string}
+ */
+function describeUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return `${hostname}${pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+module.exports = {
+  readUrlsFromSitemap,
+  matchesPatterns,
+  describeUrl
+};
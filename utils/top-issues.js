@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Cross-site "top issues" aggregation
+ *
+ * Reads the Lighthouse JSON report of every successful audit in a run and
+ * groups the failing audits and opportunities by audit id, so issues that
+ * repeat across the site (render-blocking resources, unused JavaScript,
+ * missing alt text, ...) can be fixed once instead of page by page.
+ */
+
+// Lighthouse shows audits scoring below 0.9 as failed
+const PASSING_SCORE = 0.9;
+
+const SCORED_MODES = ['binary', 'numeric', 'metricSavings'];
+
+/**
+ * Get the JSON report path of an audit result
+ * @param {Object} result - Successful audit result
+ * @returns {string}
+ */
+function getJsonReportPath(result) {
+  return result.jsonReport || path.join(path.dirname(result.report), 'lighthouse-report.json');
+}
+
+/**
+ * List the failing audits of one Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Array<{id: string, title: string, categories: string[], displayValue: string, savingsMs: number, savingsBytes: number}>}
+ */
+function getFailingAudits(lhr) {
+  const categoriesByAudit = new Map();
+  for (const category of Object.values(lhr.categories)) {
+    for (const ref of category.auditRefs) {
+      // Metric audits are covered by the metrics tiles, not listed as issues
+      if (ref.group === 'metrics') {
+        continue;
+      }
+      const list = categoriesByAudit.get(ref.id) || [];
+      list.push(category.title);
+      categoriesByAudit.set(ref.id, list);
+    }
+  }
+
+  const failing = [];
+  for (const [id, categories] of categoriesByAudit) {
+    const audit = lhr.audits[id];
+    if (!audit || !SCORED_MODES.includes(audit.scoreDisplayMode) || audit.score === null || audit.score >= PASSING_SCORE) {
+      continue;
+    }
+
+    const details = audit.details || {};
+    failing.push({
+      id,
+      title: audit.title,
+      categories,
+      displayValue: audit.displayValue || '',
+      savingsMs: details.overallSavingsMs || 0,
+      savingsBytes: details.overallSavingsBytes || 0
+    });
+  }
+
+  return failing;
+}
+
+/**
+ * Aggregate failing audits across all successful audits of a run
+ * @param {Array} results - Audit results
+ * @returns {Promise<Array<{id: string, title: string, categories: string[], pages: number, totalSavingsMs: number, totalSavingsBytes: number, affected: Array}>>}
+ *   Issues ranked by the number of pages affected, then by estimated savings
+ */
+async function aggregateTopIssues(results) {
+  const issues = new Map();
+
+  for (const result of results.filter(r => !r.error && r.report)) {
+    let lhr;
+    try {
+      lhr = await fs.readJson(getJsonReportPath(result));
+    } catch (error) {
+      console.warn(`Skipping ${result.url} (${result.device}) in top issues: ${error.message}`);
+      continue;
+    }
+
+    for (const audit of getFailingAudits(lhr)) {
+      if (!issues.has(audit.id)) {
+        issues.set(audit.id, {
+          id: audit.id,
+          title: audit.title,
+          categories: audit.categories,
+          urls: new Set(),
+          totalSavingsMs: 0,
+          totalSavingsBytes: 0,
+          affected: []
+        });
+      }
+
+      const issue = issues.get(audit.id);
+      issue.urls.add(result.url);
+      issue.totalSavingsMs += audit.savingsMs;
+      issue.totalSavingsBytes += audit.savingsBytes;
+      issue.affected.push({
+        url: result.url,
+        device: result.device,
+        view: result.view || 'gated',
+        displayValue: audit.displayValue,
+        savingsMs: audit.savingsMs,
+        savingsBytes: audit.savingsBytes,
+        report: result.report
+      });
+    }
+  }
+
+  return [...issues.values()]
+    .map(({ urls, ...issue }) => ({ ...issue, pages: urls.size }))
+    .sort((a, b) =>
+      b.pages - a.pages ||
+      b.totalSavingsMs - a.totalSavingsMs ||
+      b.totalSavingsBytes - a.totalSavingsBytes ||
+      a.id.localeCompare(b.id));
+}
+
+module.exports = {
+  aggregateTopIssues,
+  getFailingAudits
+};
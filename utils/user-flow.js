@@ -0,0 +1,321 @@
+const lighthouse = require('lighthouse/core/index.cjs');
+const chromeLauncher = require('chrome-launcher');
+const fs = require('fs-extra');
+const path = require('path');
+const { handleDisclaimers } = require('./disclaimer-handler');
+const { getBuiltInProfiles, getLighthouseSettings } = require('./device-profiles');
+const { applySetupInChrome } = require('./setup-script');
+const { getMetrics } = require('./metrics');
+const { CATEGORIES } = require('./lighthouse-runner');
+
+/**
+ * Lighthouse user flows
+ *
+ * A flow file describes the steps of an interaction on a page. Each step is
+ * a Lighthouse navigation, timespan or snapshot, so interactions such as
+ * accepting the disclaimer or opening an accordion get their own layout
+ * shift, blocking time and responsiveness (INP) numbers:
+ *
+ * {
+ *   "name": "Accept disclaimer and search",
+ *   "steps": [
+ *     { "type": "navigation", "name": "Landing page" },
+ *     { "type": "timespan", "name": "Accept disclaimer", "actions": [{ "action": "disclaimers" }] },
+ *     { "type": "timespan", "name": "Search", "actions": [
+ *       { "action": "fill", "selector": "#search", "value": "blood pressure" },
+ *       { "action": "press", "key": "Enter", "navigation": true }
+ *     ] },
+ *     { "type": "snapshot", "name": "Search results" }
+ *   ]
+ * }
+ *
+ * Navigation steps open the audited URL unless they give their own `url`.
+ * When the first step is not a navigation, the URL is opened before the flow
+ * starts without being measured.
+ */
+
+const STEP_TYPES = ['navigation', 'timespan', 'snapshot'];
+
+/**
+ * Supported actions with their required fields
+ */
+const ACTIONS = {
+  goto: ['url'],
+  click: ['selector'],
+  hover: ['selector'],
+  fill: ['selector', 'value'],
+  select: ['selector', 'value'],
+  press: ['key'],
+  scroll: [],
+  wait: ['ms'],
+  waitFor: ['selector'],
+  disclaimers: []
+};
+
+// Time allowed for every selector and navigation wait
+const ACTION_TIMEOUT = 30000;
+
+/**
+ * Load and validate a flow file
+ * @param {string} filePath - Path to the flow JSON file
+ * @returns {Promise<{name: string, file: string, steps: Array}>}
+ */
+async function loadFlow(filePath) {
+  const file = path.resolve(filePath);
+  let flow;
+  try {
+    flow = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read flow file ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error(`${filePath} needs a non-empty "steps" array`);
+  }
+
+  flow.steps.forEach((step, index) => {
+    const where = `${filePath} steps[${index}]`;
+    if (!STEP_TYPES.includes(step.type)) {
+      throw new Error(`${where} has an unknown type "${step.type}". Expected: ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.actions && step.type !== 'timespan') {
+      throw new Error(`${where}: only timespan steps have actions`);
+    }
+    (step.actions || []).forEach((action, actionIndex) => {
+      const required = ACTIONS[action.action];
+      if (!required) {
+        throw new Error(`${where} actions[${actionIndex}] has an unknown action "${action.action}". Expected: ${Object.keys(ACTIONS).join(', ')}`);
+      }
+      const missing = required.filter(field => action[field] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`${where} actions[${actionIndex}] (${action.action}) needs ${missing.join(', ')}`);
+      }
+    });
+  });
+
+  return {
+    name: flow.name || path.basename(file, path.extname(file)),
+    file,
+    steps: flow.steps
+  };
+}
+
+/**
+ * Run one flow action on the Puppeteer page
+ * @param {Object} page - Puppeteer page
+ * @param {Object} action - Action from the flow file
+ * @param {number} port - Remote debugging port, for the Playwright-based disclaimer handler
+ * @param {Object} [disclaimers] - Options for handleDisclaimers() (rules, cmpAction)
+ */
+async function runAction(page, action, port, disclaimers) {
+  const perform = async () => {
+    switch (action.action) {
+      case 'goto':
+        return page.goto(action.url, { waitUntil: 'networkidle2', timeout: ACTION_TIMEOUT });
+      case 'click':
+        return page.locator(action.selector).setTimeout(ACTION_TIMEOUT).click();
+      case 'hover':
+        return page.locator(action.selector).setTimeout(ACTION_TIMEOUT).hover();
+      case 'fill':
+        return page.locator(action.selector).setTimeout(ACTION_TIMEOUT).fill(String(action.value));
+      case 'select':
+        await page.waitForSelector(action.selector, { timeout: ACTION_TIMEOUT });
+        return page.select(action.selector, String(action.value));
+      case 'press':
+        if (action.selector) {
+          await page.focus(action.selector);
+        }
+        return page.keyboard.press(action.key);
+      case 'scroll':
+        return page.evaluate(selector => {
+          const target = selector && document.querySelector(selector);
+          if (target) {
+            target.scrollIntoView({ behavior: 'smooth' });
+          } else {
+            window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+          }
+        }, action.selector || null);
+      case 'wait':
+        return new Promise(resolve => setTimeout(resolve, action.ms));
+      case 'waitFor':
+        return page.waitForSelector(action.selector, { visible: true, timeout: ACTION_TIMEOUT });
+      case 'disclaimers':
+        return handleDisclaimersOnPage(page, port, disclaimers);
+    }
+  };
+
+  // Actions that trigger a page load wait for it to settle
+  if (action.navigation) {
+    await Promise.all([page.waitForNavigation({ waitUntil: 'networkidle2', timeout: ACTION_TIMEOUT }), perform()]);
+  } else {
+    await perform();
+  }
+}
+
+/**
+ * Run the Playwright disclaimer handler on the page the flow drives with
+ * Puppeteer, by attaching Playwright to the same Chrome
+ * @param {Object} page - Puppeteer page
+ * @param {number} port - Remote debugging port of the Chrome instance
+ * @param {Object} [disclaimers] - Options for handleDisclaimers() (rules, cmpAction)
+ */
+async function handleDisclaimersOnPage(page, port, disclaimers) {
+  const { chromium } = require('playwright');
+  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${port}`);
+  try {
+    const pages = browser.contexts().flatMap(context => context.pages());
+    const target = pages.find(candidate => candidate.url() === page.url());
+    if (!target) {
+      throw new Error(`could not find ${page.url()} in the browser`);
+    }
+    await handleDisclaimers(target, undefined, disclaimers);
+  } finally {
+    // Disconnects Playwright only; the page stays open for the flow
+    await browser.close();
+  }
+}
+
+/**
+ * Summarize one flow step for the audit summary
+ * @param {Object} lhr - Lighthouse result of the step
+ * @param {string[]} categories - Audited category ids
+ * @returns {{mode: string, scores: Object, metrics: Object}}
+ */
+function summarizeStep(lhr, categories) {
+  const scores = {};
+  for (const id of categories) {
+    const category = lhr.categories[id];
+    if (category && typeof category.score === 'number') {
+      scores[CATEGORIES[id].key] = Math.round(category.score * 100);
+    }
+  }
+
+  // Only the metrics a step measured; timespans add Interaction to Next Paint
+  const metrics = {};
+  for (const [name, value] of Object.entries(getMetrics(lhr))) {
+    if (value !== null) {
+      metrics[name] = value;
+    }
+  }
+  const inp = lhr.audits['interaction-to-next-paint'];
+  if (inp && typeof inp.numericValue === 'number') {
+    metrics.inp = inp.numericValue;
+  }
+
+  return { mode: lhr.gatherMode, scores, metrics };
+}
+
+/**
+ * Run a user flow for a URL and save the flow report
+ * @param {string} url - URL the flow starts on
+ * @param {string} device - Device profile name
+ * @param {string} outputDir - Directory to save reports
+ * @param {Object} options - Flow options
+ * @param {Object} options.flow - Result of loadFlow()
+ * @param {Object} [options.profile] - Resolved device profile (default: the built-in profile named `device`)
+ * @param {string[]} [options.categories] - Category ids to audit (default: all)
+ * @param {Object} [options.headers] - Extra HTTP headers sent with every request
+ * @param {Object} [options.setup] - Setup from loadSetup(), run before the flow
+ * @param {Object} [options.disclaimers] - Options for handleDisclaimers(), for the disclaimers action
+ * @returns {Promise<{name: string, file: string, report: string, json: string, steps: Array}>}
+ */
+async function runUserFlow(url, device, outputDir, options) {
+  const { flow } = options;
+  const categories = options.categories || Object.keys(CATEGORIES);
+  const profile = options.profile || getBuiltInProfiles()[device];
+  if (!profile) {
+    throw new Error(`Unknown device "${device}". Define it in a device profiles file`);
+  }
+
+  console.log(`Running user flow "${flow.name}" for ${url} on ${device}...`);
+
+  const chrome = await chromeLauncher.launch({
+    chromeFlags: ['--headless', '--no-sandbox', '--disable-gpu']
+  });
+
+  // Lighthouse user flows drive the page with Puppeteer
+  const puppeteer = require('puppeteer-core');
+  let browser;
+
+  try {
+    let setupHeaders = {};
+    if (options.setup) {
+      setupHeaders = (await applySetupInChrome(options.setup, url, profile, chrome.port, options)).headers;
+    }
+    const headers = { ...setupHeaders, ...options.headers };
+
+    browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${chrome.port}`, defaultViewport: null });
+    const page = await browser.newPage();
+    if (Object.keys(headers).length > 0) {
+      await page.setExtraHTTPHeaders(headers);
+    }
+
+    const userFlow = await lighthouse.startFlow(page, {
+      name: flow.name,
+      config: {
+        extends: 'lighthouse:default',
+        settings: {
+          onlyCategories: categories,
+          ...getLighthouseSettings(profile),
+          // Keep the session of the setup between steps
+          disableStorageReset: Boolean(options.setup)
+        }
+      }
+    });
+
+    if (flow.steps[0].type !== 'navigation') {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: ACTION_TIMEOUT });
+    }
+
+    for (const step of flow.steps) {
+      console.log(`   🧭 ${step.type}: ${step.name || '(unnamed)'}`);
+      if (step.type === 'navigation') {
+        await userFlow.navigate(step.url || url, { name: step.name });
+      } else if (step.type === 'snapshot') {
+        await userFlow.snapshot({ name: step.name });
+      } else {
+        await userFlow.startTimespan({ name: step.name });
+        for (const action of step.actions || []) {
+          await runAction(page, action, chrome.port, options.disclaimers);
+        }
+        await userFlow.endTimespan();
+      }
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const urlSlug = url.replace(/[^a-zA-Z0-9]/g, '_');
+    const flowDir = path.join(outputDir, device, urlSlug, `${timestamp}-flow`);
+    await fs.ensureDir(flowDir);
+
+    const reportPath = path.join(flowDir, 'flow-report.html');
+    await fs.writeFile(reportPath, await userFlow.generateReport());
+
+    const flowResult = await userFlow.createFlowResult();
+    const jsonPath = path.join(flowDir, 'flow-result.json');
+    await fs.writeJson(jsonPath, flowResult, { spaces: 2 });
+
+    console.log(`User flow completed for ${url} on ${device}`);
+    console.log(`Flow report saved to: ${reportPath}`);
+
+    return {
+      name: flow.name,
+      file: flow.file,
+      report: reportPath,
+      json: jsonPath,
+      steps: flowResult.steps.map(step => ({ name: step.name, ...summarizeStep(step.lhr, categories) }))
+    };
+  } finally {
+    if (browser) {
+      await browser.disconnect();
+    }
+    await chrome.kill();
+  }
+}
+
+module.exports = {
+  loadFlow,
+  runUserFlow,
+  summarizeStep,
+  STEP_TYPES,
+  ACTIONS
+};
@@ -0,0 +1,73 @@
+const os = require('os');
+
+/**
+ * Worker pool for running audits in parallel
+ *
+ * Every audit launches its own Chrome, so parallel audits are isolated from
+ * each other but still compete for CPU and memory on the same machine.
+ */
+
+// Rough peak memory of one Chrome + Lighthouse audit
+const MEMORY_PER_AUDIT = 1.5 * 1024 * 1024 * 1024;
+
+/**
+ * Suggest a concurrency level for this machine: half the CPU cores, bounded
+ * by the memory available for Chrome instances
+ * @returns {number}
+ */
+function getRecommendedConcurrency() {
+  const byCpu = Math.floor(os.cpus().length / 2);
+  const byMemory = Math.floor(os.totalmem() / MEMORY_PER_AUDIT);
+  return Math.max(1, Math.min(byCpu, byMemory));
+}
+
+/**
+ * Describe why a concurrency level may produce unreliable performance scores
+ * @param {number} concurrency - Requested concurrency
+ * @returns {string[]} Warning messages (empty when the level is safe)
+ */
+function getConcurrencyWarnings(concurrency) {
+  const warnings = [];
+  if (concurrency <= 1) {
+    return warnings;
+  }
+
+  const cpus = os.cpus().length;
+  const recommended = getRecommendedConcurrency();
+  warnings.push(`Running ${concurrency} audits in parallel makes them compete for CPU, which can lower performance scores. Use --concurrency 1 for reference numbers.`);
+  if (concurrency > cpus) {
+    warnings.push(`Concurrency ${concurrency} exceeds the ${cpus} CPU cores on this machine; performance scores will be heavily skewed.`);
+  } else if (concurrency > recommended) {
+    warnings.push(`Concurrency ${concurrency} is above the recommended ${recommended} for this machine (${cpus} cores, ${Math.round(os.totalmem() / 1024 ** 3)} GB memory).`);
+  }
+  return warnings;
+}
+
+/**
+ * Run a worker over all items with at most `concurrency` in flight. Results
+ * keep the order of `items` regardless of completion order.
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>}
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = {
+  runPool,
+  getRecommendedConcurrency,
+  getConcurrencyWarnings
+};